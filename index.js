@@ -1,733 +1,1061 @@
-import { google } from "googleapis";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import puppeteer from "puppeteer";
-import axios from "axios";
-import dotenv from "dotenv";
-
-dotenv.config(); //ds
-
-const CONFIG = {
-  wpApiUrl:
-    process.env.WP_API_URL ||
-    "https://profitbooking.in/wp-json/scraper/v1/tradingview",
-  wpUser: process.env.WP_USER,
-  wpPass: process.env.WP_PASS,
-};
-
-const GOOGLE_SHEET_CONFIG = {
-  sheetId: process.env.SHEET_ID,
-  sheetName: process.env.SHEET_NAME,
-  serviceAccount: {
-    email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-    privateKey: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, "\n"),
-  },
-};
-
-// Updated selectors based on current TradingView structure
-const SELECTOR_REGISTRY = {
-  articleSelectors: [
-    'article[class*="article-"]',
-    'a[href*="/news/"]',
-    '[data-qa-id="news-headline-card"]',
-    'div[class*="card-"][class*="news"]',
-    'tr[class*="row-"]',
-  ],
-  headlineSelectors: [
-    "[data-overflow-tooltip-text]",
-    '[data-qa-id="news-headline-title"]',
-    'div[class*="title-"]',
-    "h3",
-    "h4",
-  ],
-  providerSelectors: [
-    '[class*="provider-"]',
-    'span[class*="provider"]',
-    'div[class*="source"]',
-  ],
-  contentSelectors: [
-    ".body-KX2tCBZq",
-    'div[class*="body-"]',
-    'div[class*="content-"]',
-    'article[data-role="article"] div[class*="content"]',
-    'div[class*="article-body"]',
-    '[itemprop="articleBody"]',
-  ],
-  timeSelectors: [
-    "relative-time",
-    "time",
-    "[datetime]",
-    '[class*="date-"]',
-    '[class*="time-"]',
-  ],
-};
-
-// Enhanced date checking function
-function isRecentArticle(timestamp, daysBack = 1) {
-  try {
-    if (!timestamp) return false;
-
-    const articleDate = new Date(timestamp);
-    const today = new Date();
-    const daysDifference = Math.floor(
-      (today - articleDate) / (1000 * 60 * 60 * 24)
-    );
-
-    return daysDifference <= daysBack;
-  } catch (error) {
-    console.error("Error parsing date:", error);
+import {
+  loadSeenStore,
+  contentHash,
+  canonicalArticleUrl,
+  publishedArticleUrl,
+  articleId,
+} from "./src/seen-store.js";
+import { loadCheckpoint } from "./src/checkpoint.js";
+import { createRunBudget } from "./src/budget.js";
+import { createSinks } from "./src/sinks/index.js";
+import { createDeadLetterQueue } from "./src/dead-letter.js";
+import { resolveShardOptions, selectShard } from "./src/sharding.js";
+import { resolveScanWindow } from "./src/scan-window.js";
+import {
+  createBrowserSupervisor,
+  browserFailureReason,
+} from "./src/browser-supervisor.js";
+import { mapWithConcurrency, createThrottle } from "./src/concurrency.js";
+import { createNewsApiClient, symbolFromNewsUrl } from "./src/news-api.js";
+import { SELECTOR_REGISTRY } from "./src/selectors.js";
+import { PAYWALL_RULES } from "./src/paywall.js";
+import { ENRICHMENT_RULES, enrichArticle } from "./src/enrichment.js";
+import { createStoryClusters, minhashSignature } from "./src/clusters.js";
+import {
+  extractNewsCards,
+  classifyPaywall,
+  extractArticleBody,
+  extractArticleTickers,
+  countSelectorMatches,
+  scrollNewsList,
+  runInPage,
+} from "./src/extract.js";
+import { createSelectorHealth } from "./src/selector-health.js";
+import { createRunReport } from "./src/run-report.js";
+import { createSheetStatusWriter } from "./src/sheet-status.js";
+import { parseTicker, mergeTickers } from "./src/tickers.js";
+import {
+  CONFIG,
+  SETTINGS,
+  SCAN_WINDOW_CONFIG,
+  SHARD_CONFIG,
+  SINK_CONFIG,
+  STOCK_SOURCE_CONFIG,
+  assertRunSettings,
+  assertValidSettings,
+} from "./src/config.js";
+import { ConfigError, redactConfig } from "./src/config-schema.js";
+import { loadStocks, stocksFromTargets } from "./src/stock-sources/index.js";
+import { parseCliArgs, USAGE } from "./src/cli.js";
+import { parseArticleTimestamp, formatDateInZone } from "./src/dates.js";
+
+// Whether the article was published at or after the stock's cut-off
+function isRecentArticle(timestamp, since) {
+  if (!timestamp) return false;
+
+  const articleDate = parseArticleTimestamp(timestamp);
+  if (!articleDate) {
+    console.log(`Could not parse article timestamp "${timestamp}"`);
     return false;
   }
-}
 
-async function autoScroll(page) {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 500;
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-
-        if (totalHeight >= scrollHeight) {
-          clearInterval(timer);
-          resolve();
-        }
-      }, 200);
-    });
-  });
+  return articleDate >= since;
 }
 
-async function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Scrolls until the list ends or reaches cards older than `since`
+async function autoScroll(page, since) {
+  const { steps, cards, stoppedBy } = await runInPage(
+    page,
+    scrollNewsList,
+    SELECTOR_REGISTRY,
+    since.getTime(),
+    Date.now(),
+    {
+      maxSteps: CONFIG.scrollMaxSteps,
+      maxMs: CONFIG.scrollMaxMs,
+      maxCards: CONFIG.scrollMaxCards,
+    }
+  );
+  if (!["end", "since"].includes(stoppedBy)) {
+    console.log(
+      `Stopped scrolling after ${steps} steps with ${cards} cards loaded (${stoppedBy} limit reached).`
+    );
+  }
 }
 
-async function storeInWordPress(data) {
-  if (!CONFIG.wpApiUrl) {
-    console.log("WordPress API URL not configured. Skipping storage.");
-    return true;
-  }
+// Resolves to { parsed, cards }: how many cards on the page yielded a
+// headline, link and timestamp at all, and those published since `since`.
+async function trySelectors(page, selectors, symbol, since) {
+  const parsed = await runInPage(page, extractNewsCards, selectors, symbol, {
+    now: Date.now(),
+    headlinePhrases: PAYWALL_RULES.headlinePhrases,
+  });
 
-  // Use the more flexible date checking
-  if (!isRecentArticle(data.timestamp, 1)) {
-    console.log("Skipping storage - article is not recent");
-    return false;
+  for (const card of parsed.filter((c) => !c.timestamp)) {
+    console.log(
+      `Dropping "${card.headline}" for ${symbol} - unrecognised timestamp "${card.rawTimestamp}"`
+    );
   }
+  return {
+    parsed: parsed.length,
+    cards: parsed.filter(
+      (card) => card.timestamp && Date.parse(card.timestamp) >= since.getTime()
+    ),
+  };
+}
 
+async function checkIfArticleRequiresLogin(page) {
   try {
-    const response = await axios.post(
-      CONFIG.wpApiUrl,
-      {
-        Headline: data.headline,
-        Fullarticle: data.content,
-        Provider: data.provider || "General",
-        Symbol: data.symbol,
-        date: new Date(data.timestamp).toISOString().split("T")[0],
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        auth: {
-          username: CONFIG.wpUser,
-          password: CONFIG.wpPass,
-        },
-        timeout: 10000,
-      }
+    return await runInPage(
+      page,
+      classifyPaywall,
+      PAYWALL_RULES,
+      SELECTOR_REGISTRY.contentSelectors
     );
-
-    console.log("Stored in WordPress:", response.data);
-    return true;
   } catch (error) {
-    console.error("WP API Error:", error.response?.data || error.message);
-    return false;
+    console.log("Error during login check:", error.message);
+    // Assume no login if check fails
+    return { paywalled: false, reason: "check_failed", confidence: 0 };
   }
 }
 
-async function getStockUrlsFromSheet() {
-  const auth = new google.auth.JWT({
-    email: GOOGLE_SHEET_CONFIG.serviceAccount.email,
-    key: GOOGLE_SHEET_CONFIG.serviceAccount.privateKey,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets.readonly"],
-  });
-
-  await auth.authorize();
-  console.log("NewsProcessor: Google Sheet authentication successful.");
+// Resolves to the article as extractArticleBody returns it (content, html,
+// markdown, canonicalUrl, author, imageUrl) plus the page's relatedSymbols
+// or, when nothing can be stored, to
+// { content: null, skip, reason } with skip being "paywalled" or
+// "extract_failed" and reason the paywall reason code.
+async function extractArticleContent(page, selectorHealth, dumpDir) {
+  // Wait for the article body to render rather than a fixed sleep
+  await page
+    .waitForSelector(SELECTOR_REGISTRY.contentSelectors.join(","), {
+      timeout: CONFIG.selectorTimeoutMs,
+    })
+    .catch(() => {});
+  if (dumpDir) await dumpPage(page, dumpDir);
+
+  const contentCounts = await runInPage(page, countSelectorMatches, {
+    contentSelectors: SELECTOR_REGISTRY.contentSelectors,
+  }).catch(() => null);
+  if (contentCounts) selectorHealth.record(contentCounts);
 
-  const sheets = google.sheets({ version: "v4", auth });
+  // First check if the article requires login
+  const paywall = await checkIfArticleRequiresLogin(page);
+  if (paywall.paywalled) {
+    console.log(
+      `Article requires login/subscription (${paywall.reason}, confidence ${paywall.confidence}) - skipping`
+    );
+    return { content: null, skip: "paywalled", reason: paywall.reason };
+  }
 
   try {
-    const headerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId: GOOGLE_SHEET_CONFIG.sheetId,
-      range: `${GOOGLE_SHEET_CONFIG.sheetName}!1:1`,
-    });
-
-    const headers = headerResponse.data.values
-      ? headerResponse.data.values[0]
-      : [];
-    if (headers.length === 0) {
-      throw new Error(
-        "Could not read headers from the Google Sheet. Make sure the sheet is not empty."
+    const body = await runInPage(
+      page,
+      extractArticleBody,
+      SELECTOR_REGISTRY.contentSelectors,
+      PAYWALL_RULES.indicatorPhrases
+    );
+    const { content, source } = body;
+    const relatedSymbols =
+      content &&
+      (await runInPage(
+        page,
+        extractArticleTickers,
+        SELECTOR_REGISTRY.tickerSelectors
+      ).catch(() => []));
+
+    if (source === "selector") {
+      console.log(
+        `Successfully extracted content (${content.length} characters)`
       );
+      return { ...body, relatedSymbols };
     }
-
-    const scrapLinkColIndex = headers.indexOf("Scrap_Link");
-    const symbolColIndex = headers.indexOf("Symbol");
-    const stockNameColIndex = headers.indexOf("Stock name");
-
-    if (
-      scrapLinkColIndex === -1 ||
-      symbolColIndex === -1 ||
-      stockNameColIndex === -1
-    ) {
-      throw new Error(
-        "Required columns (Scrap_Link, Symbol, Stock name) not found in the Google Sheet."
+    if (source === "fallback") {
+      console.log(
+        `Fallback extraction successful (${content.length} characters)`
       );
+      return { ...body, relatedSymbols };
     }
+    if (source === "restricted") {
+      console.log("Content contains restricted phrases - skipping");
+      return { content: null, skip: "paywalled", reason: "body_phrase" };
+    }
+  } catch (error) {
+    console.log("Content extraction failed:", error.message);
+  }
 
-    const startCol = Math.min(
-      symbolColIndex,
-      stockNameColIndex,
-      scrapLinkColIndex
-    );
-    const endCol = Math.max(
-      symbolColIndex,
-      stockNameColIndex,
-      scrapLinkColIndex
-    );
-    const dataRange = `${GOOGLE_SHEET_CONFIG.sheetName}!${String.fromCharCode(
-      65 + startCol
-    )}:${String.fromCharCode(65 + endCol)}`;
+  console.log("No publicly available content found");
+  return { content: null, skip: "extract_failed" };
+}
 
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: GOOGLE_SHEET_CONFIG.sheetId,
-      range: dataRange,
-    });
+// Saves the rendered HTML of the page under a file name derived from its URL
+async function dumpPage(page, dir) {
+  try {
+    const url = new URL(page.url());
+    const name = `${url.hostname}${url.pathname}`
+      .replace(/[^a-z0-9.-]+/gi, "_")
+      .replace(/_+$/, "")
+      .slice(0, 150);
+    const filePath = path.join(dir, `${name}.html`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, await page.content());
+    console.log(`Saved page HTML to ${filePath}`);
+  } catch (error) {
+    console.log(`Could not save page HTML: ${error.message}`);
+  }
+}
+
+// Runs once for every tab the pool creates
+async function setupPage(page) {
+  await page.setViewport({
+    width: CONFIG.viewportWidth,
+    height: CONFIG.viewportHeight,
+  });
+  await page.setUserAgent(CONFIG.userAgent);
 
-    const rows = response.data.values;
-    if (!rows || rows.length === 0) {
-      console.log("No data found in the Google Sheet.");
-      return [];
+  // Block unnecessary resources to speed up loading
+  await page.setRequestInterception(true);
+  page.on("request", (req) => {
+    if (CONFIG.blockedResourceTypes.includes(req.resourceType())) {
+      req.abort();
+    } else {
+      req.continue();
     }
+  });
+}
 
-    const stockData = rows
-      .slice(1)
-      .map((row) => ({
-        Symbol: row[symbolColIndex - startCol],
-        "Stock name": row[stockNameColIndex - startCol],
-        link: row[scrapLinkColIndex - startCol],
-      }))
-      .filter((entry) => entry.link);
-
-    console.log(`Loaded ${stockData.length} stock URLs from Google Sheet.`);
-    return stockData;
-  } catch (error) {
-    console.error("Error accessing Google Sheet:", error.message);
-    if (error.code === 403) {
+// Articles listed by the news API carry a story id whose body can be read
+// without a browser; everything else, or an API failure in auto mode, goes
+// through a pooled page.
+async function fetchArticleContent(
+  article,
+  { newsApi, pool, throttle, selectorHealth, dumpHtml }
+) {
+  if (article.id && CONFIG.fetchMode !== "browser") {
+    try {
+      const story = await newsApi.fetchStory(article.id);
+      return (
+        story || { content: null, skip: "paywalled", reason: "empty_story" }
+      );
+    } catch (error) {
       console.error(
-        "Permission denied. Make sure the service account has read access to the Google Sheet."
+        `News API story ${article.id} failed: ${
+          error.response?.status || error.message
+        }`
       );
+      if (CONFIG.fetchMode === "http") throw error;
+      console.log("Falling back to the browser for this article.");
     }
-    return [];
   }
+
+  return pool.use(async (articlePage) => {
+    await throttle.run(article.link, () =>
+      articlePage.goto(article.link, {
+        waitUntil: "domcontentloaded",
+        timeout: CONFIG.articlePageTimeoutMs,
+      })
+    );
+
+    console.log(`Checking if article requires login...`);
+    return extractArticleContent(articlePage, selectorHealth, dumpHtml);
+  });
 }
 
-async function trySelectors(page, selectors, symbol) {
-  return await page.evaluate(
-    (selectors, symbol) => {
-      function isRecentArticle(timestamp, maxDaysAgo = 1) {
-        try {
-          const articleDate = new Date(timestamp);
-          const today = new Date();
-          const diffTime = today - articleDate;
-          const daysDiff = diffTime / (1000 * 60 * 60 * 24);
-          return daysDiff <= maxDaysAgo;
-        } catch {
-          return false;
-        }
-      }
+// Resolves to { outcome, reason } where outcome is one of ARTICLE_OUTCOMES
+// and reason, for skipped articles, says why. `stock` carries the watchlist
+// symbol, its exchange ticker and the publish-time cut-off of this run.
+async function processArticle(article, index, total, stock, context) {
+  const { symbol: stockSymbol, primaryTicker, since, claimSlot } = stock;
+  const { seenStore, inFlight, sinks, clusters } = context;
 
-      const articles = [];
-
-      document
-        .querySelectorAll(selectors.articleSelectors.join(","))
-        .forEach((element) => {
-          // HEADLINE
-          let headline = null;
-          for (const selector of selectors.headlineSelectors) {
-            const h = element.querySelector(selector);
-            if (h) {
-              headline =
-                h.getAttribute("data-overflow-tooltip-text") ||
-                h.getAttribute("title") ||
-                h.textContent?.trim();
-              if (headline) break;
-            }
-          }
-
-          if (!headline) {
-            headline =
-              element.getAttribute("data-overflow-tooltip-text") ||
-              element.getAttribute("title") ||
-              element.textContent?.trim();
-          }
-
-          if (!headline) return;
-
-          // SKIP Restricted
-          const restrictedIndicators = [
-            "sign in to read exclusive news",
-            "login to read",
-            "subscribe to read",
-            "premium content",
-            "members only",
-            "exclusive news",
-            "requires subscription",
-          ];
-
-          const headlineLower = headline.toLowerCase();
-          if (
-            restrictedIndicators.some((indicator) =>
-              headlineLower.includes(indicator)
-            )
-          )
-            return;
-
-          // PROVIDER
-          let provider = null;
-          for (const selector of selectors.providerSelectors) {
-            const el = element.querySelector(selector);
-            if (el) {
-              provider = el.textContent?.trim();
-              if (provider) break;
-            }
-          }
-
-          // LINK
-          const link =
-            element.href ||
-            element.querySelector("a")?.href ||
-            element.closest("a")?.href;
-          if (!link) return;
-
-          // TIMESTAMP
-          let timestamp = null;
-          for (const selector of selectors.timeSelectors) {
-            const t = element.querySelector(selector);
-            if (t) {
-              timestamp =
-                t.getAttribute("event-time") ||
-                t.getAttribute("datetime") ||
-                t.getAttribute("data-timestamp") ||
-                t.textContent?.trim();
-              if (timestamp) break;
-            }
-          }
-
-          if (!timestamp || !isRecentArticle(timestamp, 3)) return;
-
-          // SYMBOL extraction from images (SVGs)
-          const symbolImgs = element.querySelectorAll('img[src*=".svg"]');
-          let cardSymbol = null;
-          if (symbolImgs.length > 0) {
-            const codes = Array.from(symbolImgs)
-              .map((img) => {
-                const src = img.src;
-                const match = src.match(/\/([^\/]+)\.svg$/);
-                return match ? match[1].replace(/-/g, "") : null;
-              })
-              .filter(Boolean);
-            if (codes.length > 0) {
-              cardSymbol = codes.join("");
-            }
-          }
-
-          articles.push({
-            headline,
-            provider: provider || "Unknown",
-            timestamp,
-            link,
-            symbol: cardSymbol || symbol,
-          });
-        });
-
-      const uniqueArticles = [];
-      const seenKeys = new Set();
-
-      for (const article of articles) {
-        const key = `${article.headline}-${article.timestamp}-${article.symbol}`;
-        if (!seenKeys.has(key)) {
-          seenKeys.add(key);
-          uniqueArticles.push(article);
-        }
-      }
+  if (!article.link) {
+    console.log(
+      `Skipping article ${index + 1} with no link for ${stockSymbol}`
+    );
+    return { outcome: "no_link" };
+  }
+
+  // The same story is usually tagged with several symbols, and their stocks
+  // may be worked on at the same time.
+  const linkKey = canonicalArticleUrl(article.link);
+  if (seenStore.hasUrl(article.link) || inFlight.has(linkKey)) {
+    console.log(
+      `Skipping article ${
+        index + 1
+      } for ${stockSymbol} - already stored in a previous run`
+    );
+    return { outcome: "seen" };
+  }
 
-      return uniqueArticles;
-    },
-    selectors,
-    symbol
+  // Budgets only count the articles that actually get opened
+  const overBudget = claimSlot();
+  if (overBudget) return { outcome: "deferred", reason: overBudget };
+  inFlight.add(linkKey);
+
+  console.log(
+    `Processing article ${index + 1}/${total} for ${stockSymbol}: "${
+      article.headline
+    }"`
   );
-}
 
-async function checkIfArticleRequiresLogin(page) {
   try {
-    // Whitelist providers that don't require login
-    const knownFreeProviders = [
-      "moneycontrol",
-      "reuters",
-      "business standard",
-      "investing.com",
-    ];
-
-    // Check for free provider text
-    const providerText = await page.evaluate(() => {
-      const providerEl = document.querySelector('[class*="provider"]');
-      return providerEl?.innerText?.toLowerCase().trim() || "";
-    });
-
-    if (knownFreeProviders.some((p) => providerText.includes(p))) {
+    const {
+      content,
+      skip,
+      reason,
+      relatedSymbols = [],
+      html,
+      markdown,
+      canonicalUrl,
+      author,
+      imageUrl,
+    } = await fetchArticleContent(article, context);
+
+    if (!content) {
       console.log(
-        `Skipping login check - public provider detected: ${providerText}`
+        `Skipping article ${index + 1} for ${stockSymbol} - ${
+          skip === "paywalled"
+            ? `requires login/subscription (${reason})`
+            : "no accessible content"
+        }`
       );
-      return false;
+      return { outcome: skip, reason };
     }
 
-    // Check for login keywords in visible containers
-    const loginIndicators = await page.evaluate(() => {
-      const indicators = [
-        "sign in to read",
-        "login to continue",
-        "subscribe to read",
-        "premium content",
-        "members only",
-        "requires subscription",
-        "sign up to continue reading",
-        "paywall",
-        "membership required",
-      ];
-
-      const elements = Array.from(
-        document.querySelectorAll("div, section, article, header")
-      ).filter((el) => el.offsetParent !== null); // Visible only
-
-      return elements.some((el) =>
-        indicators.some((text) => el.innerText?.toLowerCase().includes(text))
+    const hash = contentHash(article.headline, content);
+    if (seenStore.hasContent(hash)) {
+      console.log(
+        `Skipping article ${
+          index + 1
+        } for ${stockSymbol} - same content already stored under another link`
       );
+      seenStore.record(article.link, hash, { symbol: stockSymbol });
+      return { outcome: "seen" };
+    }
+
+    const publishedAt = parseArticleTimestamp(article.timestamp);
+    const record = {
+      articleId: articleId(article.link),
+      headline: article.headline,
+      content: content,
+      contentHtml: html || null,
+      contentMarkdown: markdown || null,
+      canonicalUrl: canonicalUrl || publishedArticleUrl(article.link),
+      author: author || null,
+      imageUrl: imageUrl || null,
+      // The watchlist symbol this article was found under, plus every
+      // ticker the card or article page tags it with
+      symbol: stockSymbol,
+      relatedSymbols: mergeTickers(
+        primaryTicker,
+        article.relatedSymbols || [],
+        relatedSymbols
+      ),
+      provider: article.provider,
+      timestamp: article.timestamp,
+      publishedAt: publishedAt?.toISOString() ?? null,
+      // Calendar day of the story in the reporting time zone
+      date: formatDateInZone(
+        publishedAt ?? new Date(),
+        CONFIG.reportingTimeZone
+      ),
+      // Lets a sink tell a changed story from a resend of the same one
+      contentHash: hash,
+    };
+    // Event tags and tone for filtering on the site
+    const wpData = enrichArticle(record, ENRICHMENT_RULES);
+
+    if (!isRecentArticle(wpData.timestamp, since)) {
+      console.log("Skipping storage - article is not recent");
+      return { outcome: "not_recent" };
+    }
+
+    // Syndicated copies of a story already stored become its alternates
+    const signature = minhashSignature(wpData.headline, wpData.content);
+    wpData.cluster = clusters.assign({
+      url: linkKey,
+      sourceUrl: wpData.canonicalUrl,
+      headline: wpData.headline,
+      provider: wpData.provider,
+      timestamp: wpData.timestamp,
+      signature,
     });
 
-    // Check for typical login DOM patterns
-    const hasLoginElements = await page.evaluate(() => {
-      const selectors = [
-        '[class*="paywall"]',
-        '[class*="subscription"]',
-        '[class*="premium"]',
-        '[id*="login"]',
-        '[class*="sign-in"]',
-        'button[class*="subscribe"]',
-        '[class*="member-only"]',
-        "[data-login-required]",
-      ];
-
-      return selectors.some((sel) => document.querySelector(sel));
+    if (context.dryRun) {
+      seenStore.record(article.link, hash, { symbol: wpData.symbol });
+      console.log("Dry run - record that would be sent to sinks:", {
+        ...wpData,
+        content: wpData.content.substring(0, 100) + "...",
+        contentHtml: undefined,
+        contentMarkdown: undefined,
+      });
+      return { outcome: "dry_run" };
+    }
+
+    console.log("Data to be sent to sinks:", {
+      ...wpData,
+      content: wpData.content.substring(0, 100) + "...",
+      contentHtml: undefined,
+      contentMarkdown: undefined,
+    });
+
+    const acceptedBy = await sinks.writeAll(wpData);
+
+    // Sinks that rejected the record have put it in the dead-letter file
+    // for replay, so it must not be scraped and sent again either way.
+    seenStore.record(article.link, hash, {
+      symbol: wpData.symbol,
+      timestamp: wpData.timestamp,
+      signature,
+      clusterId: wpData.cluster.id,
+      ...(wpData.cluster.canonical
+        ? { sourceUrl: wpData.canonicalUrl }
+        : {
+            canonicalUrl: wpData.cluster.canonicalUrl,
+            canonicalSourceUrl: wpData.cluster.canonicalSourceUrl,
+          }),
     });
 
-    return loginIndicators || hasLoginElements;
+    if (!wpData.cluster.canonical) {
+      console.log(
+        `Article ${index + 1} for ${stockSymbol} is a near-duplicate (${
+          wpData.cluster.similarity
+        }) of ${wpData.cluster.canonicalUrl}${
+          acceptedBy.length
+            ? `; stored as an alternate in ${acceptedBy.join(", ")}`
+            : ""
+        }`
+      );
+      return { outcome: "duplicate" };
+    }
+    if (acceptedBy.length === 0) return { outcome: "store_failed" };
+
+    console.log(
+      `Successfully stored article ${
+        index + 1
+      }/${total} for ${stockSymbol} in ${acceptedBy.join(", ")}`
+    );
+    return { outcome: "stored" };
   } catch (error) {
-    console.log("Error during login check:", error.message);
-    return false; // Assume no login if check fails
+    console.error(
+      `Error processing article ${index + 1} for ${stockSymbol}: ${
+        error.message
+      }`
+    );
+    return {
+      outcome: "extract_failed",
+      reason: browserFailureReason(error) ?? undefined,
+    };
+  } finally {
+    inFlight.delete(linkKey);
   }
 }
 
-async function extractArticleContent(page) {
-  // Wait for page to load
-  await delay(3000);
-
-  // First check if the article requires login
-  const requiresLogin = await checkIfArticleRequiresLogin(page);
-  if (requiresLogin) {
-    console.log("Article requires login/subscription - skipping");
+// Returns null when the stock's link does not name an exchange symbol, and
+// throws when the API fails, so the caller can fall back to the page.
+async function listArticlesFromApi(stockEntry, { newsApi }, since) {
+  const tvSymbol = symbolFromNewsUrl(stockEntry.link);
+  if (!tvSymbol) {
+    console.log(
+      `Cannot derive an exchange symbol from ${stockEntry.link} for the news API.`
+    );
     return null;
   }
 
-  // Try to extract content from specific selectors
-  for (const selector of SELECTOR_REGISTRY.contentSelectors) {
+  try {
+    const headlines = await newsApi.fetchHeadlines(tvSymbol);
+    console.log(
+      `Fetched ${headlines.length} headlines for ${tvSymbol} from the news API.`
+    );
+    return headlines.filter((article) =>
+      isRecentArticle(article.timestamp, since)
+    );
+  } catch (error) {
+    console.error(
+      `News API headlines failed for ${tvSymbol}: ${
+        error.response?.status || error.message
+      }`
+    );
+    throw error;
+  }
+}
+
+async function listArticlesFromBrowser(
+  stockEntry,
+  { pool, throttle, selectorHealth, dumpHtml },
+  since
+) {
+  const stockSymbol = stockEntry.Symbol;
+  const stockLink = stockEntry.link;
+
+  return pool.use(async (page) => {
     try {
-      await page.waitForSelector(selector, { timeout: 3000 });
-      const content = await page.$eval(selector, (el) => el.innerText.trim());
-      if (content && content.length > 50) {
-        // Double-check for restricted content
-        const restrictedPhrases = [
-          "sign in to read exclusive news",
-          "login or create a forever free account",
-          "subscribe to read this article",
-          "this article is reserved for our members",
-          "premium content",
-          "requires subscription",
-        ];
-
-        const contentLower = content.toLowerCase();
-        if (
-          !restrictedPhrases.some((phrase) => contentLower.includes(phrase))
-        ) {
-          console.log(
-            `Successfully extracted content (${content.length} characters)`
-          );
-          return content;
-        } else {
-          console.log("Content contains restricted phrases - skipping");
-          return null;
-        }
-      }
+      await throttle.run(stockLink, () =>
+        page.goto(stockLink, {
+          waitUntil: "domcontentloaded",
+          timeout: CONFIG.newsPageTimeoutMs,
+        })
+      );
+      console.log(`Successfully loaded news page for ${stockSymbol}.`);
     } catch (error) {
-      continue;
+      console.error(
+        `Failed to load news page for ${stockSymbol}: ${error.message}`
+      );
+      throw error;
     }
-  }
 
-  // Fallback: try to get any publicly available text content
-  try {
-    const content = await page.evaluate(() => {
-      // Look for common article containers
-      const containers = [
-        "article",
-        "main",
-        '[role="main"]',
-        ".article-content",
-        ".content",
-        ".post-content",
-      ];
-
-      for (const containerSelector of containers) {
-        const container = document.querySelector(containerSelector);
-        if (container) {
-          const text = container.innerText?.trim();
-          if (text && text.length > 100) {
-            return text;
-          }
-        }
-      }
+    // Wait for the first cards to render instead of sleeping a fixed time
+    await page
+      .waitForSelector(SELECTOR_REGISTRY.articleSelectors.join(","), {
+        timeout: CONFIG.selectorTimeoutMs,
+      })
+      .catch(() => {});
+
+    await autoScroll(page, since);
+    await page
+      .waitForNetworkIdle({
+        idleTime: 500,
+        timeout: CONFIG.networkIdleTimeoutMs,
+      })
+      .catch(() => {});
+    if (dumpHtml) await dumpPage(page, dumpHtml);
+
+    const { contentSelectors, ...cardSelectors } = SELECTOR_REGISTRY;
+    selectorHealth.record(
+      await runInPage(page, countSelectorMatches, cardSelectors)
+    );
 
-      return null;
+    const { parsed, cards } = await trySelectors(
+      page,
+      SELECTOR_REGISTRY,
+      stockSymbol,
+      since
+    );
+    selectorHealth.recordCards(parsed);
+    return cards;
+  });
+}
+
+// Resolves to "browser_crash" or "page_hung" when the browser failed the
+// stock and `canRetry` allows another attempt; nothing is recorded for the
+// stock then. Otherwise resolves to null.
+async function processStock(stockEntry, context, { canRetry = false } = {}) {
+  const { seenStore, report, sheetStatus, scanWindow, checkpoint } = context;
+  const stockName = stockEntry["Stock name"];
+  const stockSymbol = stockEntry.Symbol;
+  const stockLink = stockEntry.link;
+
+  console.log(
+    `\nProcessing news for ${stockName} (${stockSymbol}) from ${stockLink} ---`
+  );
+
+  const stockReport = report.startStock(stockEntry);
+  const primaryTicker = parseTicker(stockLink);
+  const watermark = seenStore.watermark(stockSymbol);
+  const since = scanWindow.sinceFor(watermark);
+  console.log(
+    `Considering news for ${stockSymbol} published since ${since.toISOString()}${
+      watermark && scanWindow.mode === "incremental"
+        ? ` (last run reached ${watermark})`
+        : ""
+    }.`
+  );
+
+  let articlesOnPage = null;
+  let source = null;
+  let loadError = null;
+  if (CONFIG.fetchMode !== "browser") {
+    try {
+      articlesOnPage = await listArticlesFromApi(stockEntry, context, since);
+      source = "api";
+    } catch (error) {
+      loadError = error;
+    }
+  }
+  if (!articlesOnPage && CONFIG.fetchMode !== "http") {
+    try {
+      articlesOnPage = await listArticlesFromBrowser(
+        stockEntry,
+        context,
+        since
+      );
+      source = "browser";
+    } catch (error) {
+      loadError = error;
+    }
+  }
+
+  const loadFailure = browserFailureReason(loadError);
+  if (!articlesOnPage && loadFailure && canRetry) {
+    stockReport.discard();
+    return loadFailure;
+  }
+  if (!articlesOnPage) {
+    const message =
+      loadError?.message ||
+      `No exchange symbol in ${stockLink} for the news API`;
+    stockReport.pageFailed(message);
+    stockReport.finish();
+    await sheetStatus?.update(stockEntry, {
+      found: 0,
+      stored: 0,
+      error: message,
     });
+    return null;
+  }
+  stockReport.pageLoaded(source, articlesOnPage.length);
+
+  console.log(
+    `Found ${articlesOnPage.length} recent articles on ${stockSymbol}'s news page.`
+  );
+
+  // A resumed run skips the articles it handled before it was interrupted.
+  // Under a budget what matters is handled first: articles not stored yet,
+  // newest first.
+  const isSeen = (article) => (seenStore.hasUrl(article.link) ? 1 : 0);
+  const pending = articlesOnPage
+    .filter((article) => !checkpoint.isArticleDone(stockEntry, article.link))
+    .sort(
+      (a, b) =>
+        isSeen(a) - isSeen(b) ||
+        String(b.timestamp || "").localeCompare(String(a.timestamp || ""))
+    );
+  if (pending.length < articlesOnPage.length) {
+    console.log(
+      `Resuming ${stockSymbol}: ${
+        articlesOnPage.length - pending.length
+      } articles were already handled.`
+    );
+  }
 
-    if (content) {
-      // Final check for restricted content
-      const restrictedPhrases = [
-        "sign in to read exclusive news",
-        "login or create a forever free account",
-        "subscribe to read this article",
-        "this article is reserved for our members",
-        "premium content",
-        "requires subscription",
-      ];
-
-      const contentLower = content.toLowerCase();
-      if (!restrictedPhrases.some((phrase) => contentLower.includes(phrase))) {
-        console.log(
-          `Fallback extraction successful (${content.length} characters)`
-        );
-        return content;
+  // Failed and deferred articles are left out of the checkpoint so a resume
+  // retries them
+  const claimSlot = context.budget.forSymbol();
+  const results = await mapWithConcurrency(
+    pending,
+    CONFIG.pagePoolSize,
+    async (article, index) => {
+      const result = await processArticle(
+        article,
+        index,
+        pending.length,
+        { symbol: stockSymbol, primaryTicker, since, claimSlot },
+        context
+      );
+      if (!["extract_failed", "deferred"].includes(result.outcome)) {
+        checkpoint.articleDone(stockEntry, article.link);
       }
+      return result;
     }
-  } catch (error) {
-    console.log("Fallback content extraction failed:", error.message);
+  );
+
+  const articleFailure = results
+    .map(({ reason }) => reason)
+    .find((reason) => reason === "browser_crash" || reason === "page_hung");
+  if (articleFailure && canRetry) {
+    stockReport.discard();
+    return articleFailure;
   }
 
-  console.log("No publicly available content found");
-  return null;
-}
+  // Articles that failed to extract or were deferred by a budget are retried
+  // next run, so the mark stops just short of the oldest of them.
+  const newest = articlesOnPage
+    .map((article) => article.timestamp)
+    .sort()
+    .pop();
+  const oldestLeft = pending
+    .filter((_, index) =>
+      ["extract_failed", "deferred"].includes(results[index].outcome)
+    )
+    .map((article) => article.timestamp)
+    .sort()[0];
+  if (newest) {
+    seenStore.advanceWatermark(
+      stockSymbol,
+      oldestLeft
+        ? new Date(Math.min(Date.parse(newest), Date.parse(oldestLeft) - 1))
+        : newest
+    );
+  }
 
-async function scrapeTradingViewNews() {
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      "--start-maximized",
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-blink-features=AutomationControlled",
-      "--disable-features=VizDisplayCompositor",
-    ],
+  results.forEach(({ outcome, reason }) => stockReport.count(outcome, reason));
+  const { outcomes: counts, durationMs } = stockReport.finish();
+  // "reason n, ..." over the results with `outcome`; paywall, browser and
+  // budget reasons each go in their own clause
+  const reasonsOf = (outcome) => {
+    const tally = {};
+    for (const result of results) {
+      if (result.outcome === outcome && result.reason) {
+        tally[result.reason] = (tally[result.reason] || 0) + 1;
+      }
+    }
+    return Object.entries(tally)
+      .map(([reason, n]) => `${reason} ${n}`)
+      .join(", ");
+  };
+  const paywallReasons = reasonsOf("paywalled");
+  const failureReasons = reasonsOf("extract_failed");
+  const budgetReasons = reasonsOf("deferred");
+
+  await sheetStatus?.update(stockEntry, {
+    found: articlesOnPage.length,
+    stored: counts.stored,
+    newestArticleAt: newest,
   });
 
-  const page = await browser.newPage();
-
-  await page.setViewport({ width: 1920, height: 1080 });
-  await page.setUserAgent(
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+  console.log(
+    `Finished processing ${stockSymbol} in ${(durationMs / 1000).toFixed(
+      1
+    )}s: ${counts.stored} articles stored, ${
+      counts.paywalled
+    } skipped (login required${paywallReasons ? `: ${paywallReasons}` : ""}), ${
+      counts.seen
+    } skipped (already stored), ${
+      counts.extract_failed + counts.store_failed
+    } failed${failureReasons ? ` (${failureReasons})` : ""}${
+      counts.deferred
+        ? `, ${counts.deferred} deferred by budget (${budgetReasons})`
+        : ""
+    }.`
   );
 
-  // Block unnecessary resources to speed up loading
-  await page.setRequestInterception(true);
-  page.on("request", (req) => {
-    if (req.resourceType() == "stylesheet" || req.resourceType() == "image") {
-      req.abort();
-    } else {
-      req.continue();
-    }
+  // Persist after every stock so a killed job still keeps what it posted.
+  // A stock cut short by the time budget stays unfinished for --resume.
+  seenStore.save();
+  if (!results.some(({ reason }) => reason === "time_budget")) {
+    checkpoint.stockDone(stockEntry);
+  }
+  return null;
+}
+
+// The supervisor has relaunched the browser or replaced the hung page by the
+// time processStock gives up, so the stock simply starts over.
+async function processStockWithRetries(stockEntry, context) {
+  if (context.budget.outOfTime()) {
+    console.log(`Run time budget used up; leaving ${stockEntry.Symbol}.`);
+    return;
+  }
+  for (let attempt = 1; ; attempt++) {
+    const failure = await processStock(stockEntry, context, {
+      canRetry: attempt <= CONFIG.browserRetries,
+    });
+    if (!failure) return;
+    console.log(
+      `Retrying ${stockEntry.Symbol} after ${failure} (attempt ${
+        attempt + 1
+      } of ${CONFIG.browserRetries + 1}).`
+    );
+  }
+}
+
+// Options are those parseCliArgs returns; all of them are optional, so
+// scrapeTradingViewNews() runs with the environment's configuration alone.
+export async function scrapeTradingViewNews({
+  argv = [],
+  symbols = [],
+  urls = [],
+  limit = null,
+  output = null,
+  dryRun = false,
+  resume = false,
+  headful = false,
+  slowMo = 0,
+  dumpHtml = null,
+} = {}) {
+  // Symbols and URLs given on the command line replace the stock source
+  const adHoc = symbols.length > 0 || urls.length > 0;
+  // Missing credentials fail the run here rather than at the first write
+  assertRunSettings({
+    sinks: dryRun ? [] : output ?? SINK_CONFIG.enabled,
+    stockSource: adHoc ? null : STOCK_SOURCE_CONFIG.type,
   });
 
-  let stockUrls = [];
+  const shard = resolveShardOptions(argv, SHARD_CONFIG);
+  const scanWindow = resolveScanWindow(argv, SCAN_WINDOW_CONFIG);
+  console.log(
+    scanWindow.since
+      ? `Scanning news published since ${scanWindow.since.toISOString()} (${
+          scanWindow.mode
+        }).`
+      : "Scanning news newer than each symbol's high-water mark."
+  );
+  const deadLetters = createDeadLetterQueue(SINK_CONFIG.deadLetterPath);
+  const sinks = createSinks(output ?? SINK_CONFIG.enabled, SINK_CONFIG, {
+    deadLetters,
+  });
+  console.log(
+    dryRun
+      ? `Dry run: nothing will be written to ${sinks.names.join(", ")}`
+      : `Enabled sinks: ${sinks.names.join(", ")}`
+  );
+  if (!dryRun) await sinks.probe();
+
+  const report = createRunReport({
+    runId:
+      process.env.GITHUB_RUN_ID ||
+      new Date().toISOString().replace(/[:.]/g, "-"),
+    shard,
+    fetchMode: CONFIG.fetchMode,
+  });
 
+  const sourceName = adHoc ? "command line" : STOCK_SOURCE_CONFIG.type;
+  let stockUrls;
   try {
-    stockUrls = await getStockUrlsFromSheet();
-    if (stockUrls.length === 0) {
-      console.log("No stock URLs found to process. Exiting.");
-      await browser.close();
-      return;
-    }
-    const batchIndex = parseInt(process.argv[2] || "0", 10);
-    const BATCH_SIZE = 550;
-    const start = batchIndex * BATCH_SIZE;
-    const end = (batchIndex + 1) * BATCH_SIZE;
-    stockUrls = stockUrls.slice(start, end);
-    console.log(`Processing batch ${batchIndex}: ${stockUrls.length} stocks`);
+    stockUrls = adHoc
+      ? stocksFromTargets({
+          symbols,
+          urls,
+          baseUrl: STOCK_SOURCE_CONFIG.baseUrl,
+        })
+      : await loadStocks(STOCK_SOURCE_CONFIG);
   } catch (error) {
-    console.error(
-      `Failed to retrieve stock URLs from Google Sheet: ${error.message}`
+    throw new Error(
+      `Failed to load the stock list from the ${sourceName} source: ${error.message}`
     );
-    await browser.close();
+  }
+
+  if (stockUrls.length === 0) {
+    console.log("No stock URLs found to process. Exiting.");
     return;
   }
 
-  for (const stockEntry of stockUrls) {
-    const stockName = stockEntry["Stock name"];
-    const stockSymbol = stockEntry.Symbol;
-    const stockLink = stockEntry.link;
+  // Dry and ad-hoc runs read the shard's checkpoint but never write it
+  const checkpoint = loadCheckpoint({
+    dir: CONFIG.checkpointDir,
+    shard: shard.index,
+    readOnly: dryRun || adHoc,
+  });
+  const run = checkpoint.begin(report.runId, { resume });
+  if (resume && run !== checkpoint.interrupted) {
+    console.log("No interrupted run to resume; starting a new one.");
+  }
 
+  const totalStocks = stockUrls.length;
+  if (!adHoc) {
+    // Stocks finished last time go to the back, so a job that keeps timing
+    // out does not starve the end of its batch
+    stockUrls = checkpoint.order(selectShard(stockUrls, shard));
+  }
+  if (run === checkpoint.interrupted) {
+    const remaining = stockUrls.filter(
+      (stock) => !checkpoint.isStockDone(stock)
+    );
     console.log(
-      `\nProcessing news for ${stockName} (${stockSymbol}) from ${stockLink} ---`
+      `Resuming run ${run.id} from ${run.startedAt}: ${
+        stockUrls.length - remaining.length
+      } stocks already finished.`
     );
+    stockUrls = remaining;
+  }
+  if (limit) stockUrls = stockUrls.slice(0, limit);
+  console.log(
+    `Processing shard ${shard.index + 1}/${shard.count} (${shard.strategy}): ${
+      stockUrls.length
+    } of ${totalStocks} stocks`
+  );
 
-    try {
-      await page.goto(stockLink, {
-        waitUntil: "domcontentloaded",
-        timeout: 30000,
-      });
-      console.log(`Successfully loaded news page for ${stockSymbol}.`);
+  const seenStore = loadSeenStore({
+    dir: CONFIG.seenStoreDir,
+    shard: shard.index,
+    retentionDays: CONFIG.seenRetentionDays,
+    readOnly: dryRun,
+  });
 
-      // Wait for content to load
-      await delay(3000);
-    } catch (error) {
-      console.error(
-        `Failed to load news page for ${stockSymbol}: ${error.message}`
-      );
-      continue;
+  let sheetStatus = null;
+  if (CONFIG.sheetWriteBack && !dryRun) {
+    if (adHoc || STOCK_SOURCE_CONFIG.type !== "sheet") {
+      console.log("Sheet write-back only works with the sheet stock source.");
+    } else {
+      sheetStatus = createSheetStatusWriter({
+        ...STOCK_SOURCE_CONFIG.sheet,
+        staleDays: CONFIG.sheetStaleNewsDays,
+      });
+      await sheetStatus.init();
     }
+  }
+
+  // The browser is only launched the first time a page is needed, so runs
+  // served entirely by the news API never start Chromium. After a crash the
+  // supervisor launches a fresh one.
+  const browser = createBrowserSupervisor({
+    launch: () =>
+      puppeteer.launch({
+        headless: !headful,
+        slowMo,
+        args: [
+          "--start-maximized",
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-blink-features=AutomationControlled",
+          "--disable-features=VizDisplayCompositor",
+        ],
+      }),
+    poolSize: CONFIG.pagePoolSize,
+    setupPage,
+    pageTimeoutMs: CONFIG.pageTaskTimeoutMs,
+    probeTimeoutMs: CONFIG.browserProbeTimeoutMs,
+  });
 
-    await autoScroll(page);
-    await delay(2000);
+  const selectorHealth = createSelectorHealth(SELECTOR_REGISTRY);
 
-    const articlesOnPage = await trySelectors(
-      page,
-      SELECTOR_REGISTRY,
-      stockSymbol
-    );
+  const throttle = createThrottle({
+    requestsPerSecond: CONFIG.navigationsPerSecond,
+    maxPerHost: CONFIG.maxConcurrentPerHost,
+  });
 
+  const context = {
+    pool: browser,
+    throttle,
+    newsApi: createNewsApiClient({
+      baseUrl: CONFIG.newsApiBaseUrl,
+      lang: CONFIG.newsLang,
+      userAgent: CONFIG.userAgent,
+      timeoutMs: CONFIG.newsApiTimeoutMs,
+      throttle,
+      retry: SINK_CONFIG.retry,
+    }),
+    seenStore,
+    sinks,
+    selectorHealth,
+    report,
+    sheetStatus,
+    inFlight: new Set(),
+    scanWindow,
+    dryRun,
+    dumpHtml,
+    checkpoint,
+    budget: createRunBudget({
+      maxArticlesPerSymbol: CONFIG.maxArticlesPerSymbol,
+      maxNewArticles: CONFIG.maxNewArticlesPerRun,
+      maxMinutes: CONFIG.runBudgetMinutes,
+    }),
+    clusters: createStoryClusters({
+      threshold: CONFIG.clusterSimilarity,
+      windowHours: CONFIG.clusterWindowHours,
+      seed: seenStore.entries(),
+    }),
+  };
+
+  // Stock pages and article pages share the same pool, so the number of open
+  // tabs never exceeds pagePoolSize however the work is spread.
+  await mapWithConcurrency(stockUrls, CONFIG.pagePoolSize, (stockEntry) =>
+    processStockWithRetries(stockEntry, context).catch((error) =>
+      console.error(`Error processing ${stockEntry.Symbol}: ${error.message}`)
+    )
+  );
+  // A run stopped by its time budget stays open for --resume
+  const exhausted = context.budget.exhausted();
+  if (exhausted === "time_budget") {
     console.log(
-      `Found ${articlesOnPage.length} recent articles on ${stockSymbol}'s news page.`
+      `Stopped after the ${CONFIG.runBudgetMinutes}-minute run budget; the checkpoint lets the next run pick up the rest.`
     );
-
-    let articlesStoredForThisStock = 0;
-    let skippedDueToLogin = 0;
-
-    for (const [index, article] of articlesOnPage.entries()) {
-      if (!article.link) {
-        console.log(
-          `Skipping article ${index + 1} with no link for ${stockSymbol}`
-        );
-        continue;
-      }
-
-      const articlePage = await browser.newPage();
+  } else {
+    if (exhausted) {
       console.log(
-        `Processing article ${index + 1}/${
-          articlesOnPage.length
-        } for ${stockSymbol}: "${article.headline}"`
+        `New-article budget of ${CONFIG.maxNewArticlesPerRun} used up; the rest is deferred to the next run.`
       );
+    }
+    checkpoint.complete();
+  }
 
-      try {
-        await articlePage.setUserAgent(
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-        );
-
-        // Set request interception for article pages too
-        await articlePage.setRequestInterception(true);
-        articlePage.on("request", (req) => {
-          if (
-            req.resourceType() == "stylesheet" ||
-            req.resourceType() == "image"
-          ) {
-            req.abort();
-          } else {
-            req.continue();
-          }
-        });
-
-        await articlePage.goto(article.link, {
-          waitUntil: "domcontentloaded",
-          timeout: 15000,
-        });
-
-        console.log(`Checking if article requires login...`);
-        const content = await extractArticleContent(articlePage);
-        if (!content) {
-          console.log(
-            `Skipping article ${
-              index + 1
-            } for ${stockSymbol} - no accessible content (likely requires login/subscription)`
-          );
-          skippedDueToLogin++;
-          continue;
-        }
-
-        const wpData = {
-          headline: article.headline,
-          content: content,
-          symbol: article.symbol || stockSymbol,
-          provider: article.provider,
-          timestamp: article.timestamp,
-        };
-
-        console.log("Data to be sent to WordPress:", {
-          ...wpData,
-          content: wpData.content.substring(0, 100) + "...",
-        });
-
-        const stored = await storeInWordPress(wpData);
-        if (stored) {
-          articlesStoredForThisStock++;
-          console.log(
-            `Successfully stored article ${index + 1}/${
-              articlesOnPage.length
-            } for ${stockSymbol} in WordPress`
-          );
-        }
-      } catch (error) {
-        console.error(
-          `Error processing article ${index + 1} for ${stockSymbol}: ${
-            error.message
-          }`
-        );
-      } finally {
-        if (!articlePage.isClosed()) {
-          await articlePage.close();
-        }
-      }
+  await sheetStatus?.flush();
 
-      // Add delay between articles to avoid rate limiting
-      await delay(1000);
-    }
+  if (await browser.close()) {
+    console.log("\nBrowser closed.");
+  }
+
+  selectorHealth.print();
+  selectorHealth.save(CONFIG.selectorHealthPath);
+
+  report.attach("sinks", sinks.summary());
+  report.attach("browser", browser.stats());
+  report.attach("budget", context.budget.summary());
+  report.attach("clusters", context.clusters.summary());
+  report.attach("deadSelectorLists", selectorHealth.report().deadLists);
+  report.save({
+    jsonPath: CONFIG.reportPath,
+    markdownPath: CONFIG.reportMarkdownPath,
+    metricsPath: CONFIG.metricsPath,
+    stepSummaryPath: process.env.GITHUB_STEP_SUMMARY,
+  });
+  if (!dryRun) await sinks.saveRun(report.toJSON());
+
+  // News pages were scraped but not one of them yielded a card: the markup
+  // changed, and reporting success would hide it. Raw selector hits cannot
+  // tell, as the header's news link matches the article selectors too.
+  const { cards } = selectorHealth.report();
+  if (cards.pagesChecked > 0 && cards.found === 0) {
+    throw new Error(
+      `No news cards could be read on any of ${cards.pagesChecked} news pages. TradingView markup has probably changed; update the selector registry.`
+    );
+  }
+
+  console.log("\n--- Scraping Complete ---");
+  const totals = report.totals();
+  console.log(
+    `Shard ${shard.index + 1}/${shard.count} coverage: ${
+      stockUrls.length
+    } of ${totalStocks} stocks assigned (${(
+      (stockUrls.length / totalStocks) *
+      100
+    ).toFixed(1)}%), ${totals.pagesLoaded} pages loaded, ${
+      totals.pagesFailed
+    } failed to load, ${totals.outcomes.stored} articles stored.`
+  );
+  for (const { name, succeeded, failed, skipped } of sinks.summary()) {
     console.log(
-      `Finished processing ${stockSymbol}: ${articlesStoredForThisStock} articles stored, ${skippedDueToLogin} skipped (login required).`
+      `Sink ${name}: ${succeeded} stored, ${failed} failed${
+        skipped ? `, ${skipped} near-duplicates skipped` : ""
+      }`
     );
+  }
+  if (sinks.summary().some(({ failed }) => failed > 0)) {
+    console.log(
+      `Failed records were written to ${deadLetters.filePath}. Run "npm run replay" to re-send them.`
+    );
+  }
+  console.log(
+    `Finished processing all stock URLs from the ${sourceName} source.`
+  );
+}
 
-    // Add delay between stocks
-    await delay(2000);
+// Only run when started as a script, so the scraper can also be imported
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
   }
 
-  console.log("\n--- Scraping Complete ---");
-  console.log(`Finished processing all stock URLs from Google Sheet.`);
+  // Settings and sink endpoints checked before the scrape: no stack trace
+  const fail = (error) => {
+    if (error instanceof ConfigError || error.code === "SINK_UNAVAILABLE") {
+      console.error(error.message);
+      process.exitCode = 2;
+    } else {
+      console.error(error);
+      process.exitCode = 1;
+    }
+  };
 
-  await browser.close();
-  console.log("\nBrowser closed.");
+  if (options?.help) {
+    console.log(USAGE);
+  } else if (options?.printConfig) {
+    try {
+      assertValidSettings();
+      console.log(JSON.stringify(redactConfig(SETTINGS), null, 2));
+    } catch (error) {
+      fail(error);
+    }
+  } else if (options) {
+    scrapeTradingViewNews(options).catch(fail);
+  }
 }
-
-scrapeTradingViewNews().catch(console.error);
@@ -0,0 +1,48 @@
+import { SINK_CONFIG, assertValidSettings } from "./src/config.js";
+import { createDeadLetterQueue } from "./src/dead-letter.js";
+import { createSinks } from "./src/sinks/index.js";
+
+// Re-sends records from the dead-letter file to the sinks that rejected them.
+// Whatever fails again stays in the file for the next replay.
+async function replayDeadLetters(filePath) {
+  assertValidSettings();
+  const queue = createDeadLetterQueue(filePath);
+  const entries = queue.readAll();
+
+  if (entries.length === 0) {
+    console.log(`No dead letters to replay in ${filePath}.`);
+    return;
+  }
+
+  console.log(`Replaying ${entries.length} dead letters from ${filePath}`);
+
+  const sinkNames = [...new Set(entries.map((entry) => entry.sink))];
+  const sinks = createSinks(sinkNames, SINK_CONFIG);
+  await sinks.probe();
+  const remaining = [];
+
+  for (const entry of entries) {
+    const delivered = await sinks.writeOne(entry.sink, entry.record);
+    if (!delivered) {
+      remaining.push({
+        ...entry,
+        attempts: (entry.attempts || 1) + 1,
+        lastTriedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  queue.rewrite(remaining);
+
+  for (const { name, succeeded, failed } of sinks.summary()) {
+    console.log(`Sink ${name}: ${succeeded} replayed, ${failed} still failing`);
+  }
+  console.log(`${remaining.length} dead letters left in ${filePath}.`);
+}
+
+replayDeadLetters(process.argv[2] || SINK_CONFIG.deadLetterPath).catch(
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,22 @@
+import { CONFIG, SINK_CONFIG, assertValidSettings } from "./src/config.js";
+import { openArticleStore } from "./src/article-store.js";
+import { createApiServer } from "./src/api-server.js";
+
+// Serves the articles the "sqlite" sink kept, e.g. SINKS=wordpress,sqlite.
+// The database is opened read-only; the scraper may keep writing to it.
+try {
+  assertValidSettings();
+} catch (error) {
+  console.error(error.message);
+  process.exit(2);
+}
+
+const store = openArticleStore(process.argv[2] || SINK_CONFIG.sqlite.filePath, {
+  readOnly: true,
+});
+
+createApiServer(store).listen(CONFIG.apiPort, CONFIG.apiHost, () => {
+  console.log(
+    `Serving articles on http://${CONFIG.apiHost}:${CONFIG.apiPort}/articles`
+  );
+});
@@ -0,0 +1,123 @@
+import http from "http";
+import { renderRss, renderAtom } from "./feeds.js";
+
+const MAX_LIMIT = 500;
+const FEED_SIZE = 50;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ISO date or date-time; a bare date as `to` covers that whole day
+function parseDateParam(name, value) {
+  if (!value) return null;
+  const endOfDay = name === "to" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `Invalid "${name}" date "${value}"`);
+  }
+  return date;
+}
+
+// Path segments come percent-encoded; a broken escape is the client's fault
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, `Malformed escape in "${segment}"`);
+  }
+}
+
+function parseLimit(value, fallback) {
+  if (value == null) return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `"limit" must be a whole number 1-${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+function send(res, status, body, type = "application/json; charset=utf-8") {
+  res.writeHead(status, { "Content-Type": type });
+  res.end(typeof body === "string" ? body : JSON.stringify(body, null, 2));
+}
+
+// Read-only JSON and feed API over the local article store:
+//   GET /articles?symbol=&from=&to=&provider=&limit=
+//   GET /symbols/:symbol/latest
+//   GET /symbols/:symbol/feed.rss and /symbols/:symbol/feed.atom
+//   GET /runs/:id
+export function createApiServer(store) {
+  const routes = [
+    [
+      /^\/articles$/,
+      (params) => ({
+        articles: store.queryArticles({
+          symbol: params.get("symbol"),
+          provider: params.get("provider"),
+          from: parseDateParam("from", params.get("from")),
+          to: parseDateParam("to", params.get("to")),
+          limit: parseLimit(params.get("limit"), 50),
+        }),
+      }),
+    ],
+    [
+      /^\/symbols\/([^/]+)\/latest$/,
+      (params, symbol) => {
+        const [article] = store.queryArticles({ symbol, limit: 1 });
+        if (!article) throw new HttpError(404, `No articles for ${symbol}`);
+        return article;
+      },
+    ],
+    [
+      /^\/symbols\/([^/]+)\/feed\.(rss|atom)$/,
+      (params, symbol, format, selfUrl) => {
+        const articles = store.queryArticles({ symbol, limit: FEED_SIZE });
+        return format === "rss"
+          ? {
+              type: "application/rss+xml; charset=utf-8",
+              body: renderRss(symbol, articles, { selfUrl }),
+            }
+          : {
+              type: "application/atom+xml; charset=utf-8",
+              body: renderAtom(symbol, articles, { selfUrl }),
+            };
+      },
+    ],
+    [
+      /^\/runs\/([^/]+)$/,
+      (params, id) => {
+        const shards = store.getRun(id);
+        if (shards.length === 0) throw new HttpError(404, `No run ${id}`);
+        return { runId: id, shards };
+      },
+    ],
+  ];
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        throw new HttpError(405, "Only GET is supported");
+      }
+      for (const [pattern, handler] of routes) {
+        const match = url.pathname.match(pattern);
+        if (!match) continue;
+        const args = match.slice(1).map(decodeSegment);
+        const result = handler(url.searchParams, ...args, url.href);
+        return result?.type
+          ? send(res, 200, result.body, result.type)
+          : send(res, 200, result);
+      }
+      throw new HttpError(404, `No route for ${url.pathname}`);
+    } catch (error) {
+      if (!error.status) console.error(`${req.method} ${req.url}:`, error);
+      send(res, error.status || 500, {
+        error: error.status ? error.message : "Internal error",
+      });
+    }
+  });
+}
@@ -0,0 +1,215 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { parseTicker, formatTicker } from "./tickers.js";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS articles (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  headline TEXT NOT NULL,
+  provider TEXT,
+  published_at TEXT,
+  date TEXT,
+  author TEXT,
+  image_url TEXT,
+  content TEXT,
+  content_html TEXT,
+  content_markdown TEXT,
+  related_symbols TEXT NOT NULL DEFAULT '[]',
+  tags TEXT NOT NULL DEFAULT '[]',
+  sentiment TEXT,
+  sentiment_score REAL,
+  cluster_id TEXT,
+  canonical INTEGER NOT NULL DEFAULT 1,
+  stored_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS articles_published_at ON articles (published_at);
+CREATE TABLE IF NOT EXISTS article_symbols (
+  article_id TEXT NOT NULL REFERENCES articles (id) ON DELETE CASCADE,
+  symbol TEXT NOT NULL,
+  PRIMARY KEY (symbol, article_id)
+);
+CREATE TABLE IF NOT EXISTS runs (
+  id TEXT NOT NULL,
+  shard INTEGER NOT NULL,
+  started_at TEXT,
+  finished_at TEXT,
+  report TEXT NOT NULL,
+  PRIMARY KEY (id, shard)
+);
+`;
+
+// Every name an article can be looked up by: the watchlist symbol and each
+// related ticker both as EXCHANGE:SYMBOL and bare
+function lookupSymbols(record) {
+  const names = new Set([String(record.symbol).toUpperCase()]);
+  for (const ticker of record.relatedSymbols || []) {
+    names.add(formatTicker(ticker));
+    names.add(ticker.symbol);
+  }
+  return [...names];
+}
+
+function toArticle(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    symbol: row.symbol,
+    headline: row.headline,
+    provider: row.provider,
+    timestamp: row.published_at,
+    date: row.date,
+    author: row.author,
+    imageUrl: row.image_url,
+    content: row.content,
+    contentHtml: row.content_html,
+    contentMarkdown: row.content_markdown,
+    relatedSymbols: JSON.parse(row.related_symbols),
+    tags: JSON.parse(row.tags),
+    sentiment: row.sentiment
+      ? { label: row.sentiment, score: row.sentiment_score }
+      : null,
+    clusterId: row.cluster_id,
+    canonical: row.canonical === 1,
+    storedAt: row.stored_at,
+  };
+}
+
+// Local SQLite copy of the articles sent to the sinks and of the run
+// reports, keyed by the record's articleId. The scraper writes through the
+// "sqlite" sink; the API server opens the same file read-only.
+export function openArticleStore(filePath, { readOnly = false } = {}) {
+  if (!readOnly) fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath, {
+    readonly: readOnly,
+    fileMustExist: readOnly,
+  });
+  if (!readOnly) {
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+  }
+  db.pragma("foreign_keys = ON");
+
+  const saveArticle = db.transaction((record) => {
+    // Hashing any other URL than the live run did would add a second row
+    const id = record.articleId;
+    if (!id) throw new Error("Record has no articleId to store it by");
+    db.prepare(
+      `INSERT INTO articles (id, url, symbol, headline, provider, published_at,
+         date, author, image_url, content, content_html, content_markdown,
+         related_symbols, tags, sentiment, sentiment_score, cluster_id,
+         canonical, stored_at)
+       VALUES (@id, @url, @symbol, @headline, @provider, @publishedAt, @date,
+         @author, @imageUrl, @content, @contentHtml, @contentMarkdown,
+         @relatedSymbols, @tags, @sentiment, @sentimentScore, @clusterId,
+         @canonical, @storedAt)
+       ON CONFLICT (id) DO UPDATE SET
+         url = excluded.url, symbol = excluded.symbol, headline = excluded.headline,
+         provider = excluded.provider, published_at = excluded.published_at,
+         date = excluded.date, author = excluded.author,
+         image_url = excluded.image_url, content = excluded.content,
+         content_html = excluded.content_html,
+         content_markdown = excluded.content_markdown,
+         related_symbols = excluded.related_symbols, tags = excluded.tags,
+         sentiment = excluded.sentiment,
+         sentiment_score = excluded.sentiment_score,
+         cluster_id = excluded.cluster_id, canonical = excluded.canonical,
+         stored_at = excluded.stored_at`
+    ).run({
+      id,
+      url: record.canonicalUrl,
+      symbol: String(record.symbol).toUpperCase(),
+      headline: record.headline,
+      provider: record.provider ?? null,
+      publishedAt: record.timestamp
+        ? new Date(record.timestamp).toISOString()
+        : null,
+      date: record.date ?? null,
+      author: record.author ?? null,
+      imageUrl: record.imageUrl ?? null,
+      content: record.content ?? null,
+      contentHtml: record.contentHtml ?? null,
+      contentMarkdown: record.contentMarkdown ?? null,
+      relatedSymbols: JSON.stringify(
+        (record.relatedSymbols || []).map(formatTicker)
+      ),
+      tags: JSON.stringify(record.tags || []),
+      sentiment: record.sentiment?.label ?? null,
+      sentimentScore: record.sentiment?.score ?? null,
+      clusterId: record.cluster?.id ?? null,
+      canonical: record.cluster?.canonical === false ? 0 : 1,
+      storedAt: new Date().toISOString(),
+    });
+    db.prepare("DELETE FROM article_symbols WHERE article_id = ?").run(id);
+    const link = db.prepare(
+      "INSERT INTO article_symbols (article_id, symbol) VALUES (?, ?)"
+    );
+    for (const symbol of lookupSymbols(record)) link.run(id, symbol);
+  });
+
+  return {
+    saveArticle,
+
+    saveRun(report) {
+      db.prepare(
+        `INSERT OR REPLACE INTO runs (id, shard, started_at, finished_at, report)
+         VALUES (?, ?, ?, ?, ?)`
+      ).run(
+        String(report.runId),
+        report.shard?.index ?? 0,
+        report.startedAt,
+        report.finishedAt,
+        JSON.stringify(report)
+      );
+    },
+
+    // Newest first. `symbol` matches the watchlist symbol or any related
+    // ticker, with or without the exchange; `from` and `to` bound the
+    // publish time (inclusive).
+    queryArticles({ symbol, from, to, provider, limit = 50 } = {}) {
+      const where = [];
+      const params = { limit };
+      if (symbol) {
+        where.push(
+          "id IN (SELECT article_id FROM article_symbols WHERE symbol = @symbol)"
+        );
+        const ticker = parseTicker(symbol);
+        params.symbol = ticker ? formatTicker(ticker) : symbol.toUpperCase();
+      }
+      if (from) {
+        where.push("published_at >= @from");
+        params.from = from.toISOString();
+      }
+      if (to) {
+        where.push("published_at <= @to");
+        params.to = to.toISOString();
+      }
+      if (provider) {
+        where.push("lower(provider) = lower(@provider)");
+        params.provider = provider;
+      }
+      return db
+        .prepare(
+          `SELECT * FROM articles ${
+            where.length ? `WHERE ${where.join(" AND ")}` : ""
+          } ORDER BY published_at DESC LIMIT @limit`
+        )
+        .all(params)
+        .map(toArticle);
+    },
+
+    // Every shard's report of the run, in shard order
+    getRun(id) {
+      return db
+        .prepare("SELECT report FROM runs WHERE id = ? ORDER BY shard")
+        .all(String(id))
+        .map((row) => JSON.parse(row.report));
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { createPagePool } from "./page-pool.js";
+
+// What Puppeteer throws at callers once Chromium has crashed or its
+// connection is gone
+const CRASH_MESSAGES =
+  /target closed|session closed|browser has disconnected|connection closed|protocol error/i;
+
+// "page_hung" for a page task stopped by the watchdog, "browser_crash" for
+// an error caused by a dead browser, otherwise null
+export function browserFailureReason(error) {
+  if (error?.code === "PAGE_HUNG") return "page_hung";
+  if (
+    error?.name === "TargetCloseError" ||
+    CRASH_MESSAGES.test(error?.message || "")
+  ) {
+    return "browser_crash";
+  }
+  return null;
+}
+
+function timeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`No reply in ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Owns the browser and its page pool. Chromium is launched on the first
+// `use`, and launched again on the next one after it disconnected, or after
+// a hung page left it unresponsive to `probeTimeoutMs`.
+export function createBrowserSupervisor({
+  launch,
+  poolSize,
+  setupPage,
+  pageTimeoutMs,
+  probeTimeoutMs = 5000,
+}) {
+  let session = null;
+  let probe = null;
+  let launches = 0;
+  let crashes = 0;
+
+  function drop(current, why) {
+    if (session !== current) return;
+    session = null;
+    crashes++;
+    console.log(`${why}; it will be relaunched for the next page.`);
+  }
+
+  // New pages wait for the check, so none is opened on a frozen browser
+  function checkResponsive(current, browser) {
+    probe ??= timeout(browser.version(), probeTimeoutMs)
+      .catch(() => {
+        drop(current, "Browser stopped responding after a hung page");
+        // Our own child process, so it can be killed outright
+        browser.process()?.kill("SIGKILL");
+      })
+      .finally(() => {
+        probe = null;
+      });
+  }
+
+  function start() {
+    if (session) return session;
+    const current = launch().then((browser) => {
+      launches++;
+      console.log(launches === 1 ? "Browser launched." : "Browser relaunched.");
+      browser.once("disconnected", () => drop(current, "Browser disconnected"));
+      return {
+        browser,
+        pool: createPagePool(browser, {
+          size: poolSize,
+          setupPage,
+          taskTimeoutMs: pageTimeoutMs,
+          onHang: () => checkResponsive(current, browser),
+        }),
+      };
+    });
+    current.catch(() => {
+      if (session === current) session = null;
+    });
+    session = current;
+    return current;
+  }
+
+  return {
+    async use(fn) {
+      await probe;
+      const { pool } = await start();
+      return pool.use(fn);
+    },
+
+    stats() {
+      return { launches, crashes };
+    },
+
+    // Closes the browser if one is running; the closing disconnect is not
+    // counted as a crash
+    async close() {
+      const current = session;
+      session = null;
+      const running = await current?.catch(() => null);
+      if (!running) return false;
+      await running.pool.close();
+      await running.browser.close().catch(() => {});
+      return true;
+    },
+  };
+}
@@ -0,0 +1,58 @@
+// Limits on how much one run may do. Each is off when 0: articles opened per
+// symbol, new articles opened over the whole run, and minutes of wall-clock
+// time. Only articles not stored before count; "seen" ones cost nothing.
+export function createRunBudget({
+  maxArticlesPerSymbol = 0,
+  maxNewArticles = 0,
+  maxMinutes = 0,
+  now = Date.now,
+}) {
+  const started = now();
+  let newArticles = 0;
+  let articlesUsedUp = false;
+
+  const outOfTime = () =>
+    maxMinutes > 0 && now() - started >= maxMinutes * 60000;
+
+  return {
+    outOfTime,
+
+    // For one stock: a function that claims the slot for opening an article
+    // and returns null, or names the budget that ran out
+    forSymbol() {
+      let opened = 0;
+      return () => {
+        if (outOfTime()) return "time_budget";
+        if (maxNewArticles > 0 && newArticles >= maxNewArticles) {
+          articlesUsedUp = true;
+          return "run_article_budget";
+        }
+        if (maxArticlesPerSymbol > 0 && opened >= maxArticlesPerSymbol) {
+          return "symbol_article_budget";
+        }
+        opened++;
+        newArticles++;
+        return null;
+      };
+    },
+
+    // The run-wide budget that ran out, or null. Time wins even when the
+    // article budget ran out first: stocks were then skipped for time and
+    // the checkpoint has to stay open for them.
+    exhausted() {
+      if (outOfTime()) return "time_budget";
+      return articlesUsedUp ? "run_article_budget" : null;
+    },
+
+    summary() {
+      return {
+        maxArticlesPerSymbol,
+        maxNewArticles,
+        maxMinutes,
+        newArticles,
+        elapsedMinutes: Math.round((now() - started) / 600) / 100,
+        exhausted: this.exhausted(),
+      };
+    },
+  };
+}
@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+import { canonicalArticleUrl } from "./seen-store.js";
+
+function readCheckpointFile(filePath) {
+  if (!fs.existsSync(filePath)) return { run: null, lastFinished: {} };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return { run: parsed.run || null, lastFinished: parsed.lastFinished || {} };
+  } catch (error) {
+    console.error(`Could not read checkpoint ${filePath}:`, error.message);
+    return { run: null, lastFinished: {} };
+  }
+}
+
+const stockKey = (stock) => String(stock.link || stock.Symbol || "").trim();
+
+// Progress of the shard's current run, rewritten after every stock and
+// article so a job killed halfway leaves a record of how far it got. The run
+// lists the stocks it finished and, for stocks still in progress, the
+// articles already handled. Across runs it keeps when each stock last
+// finished, so the next run can start with the stocks that were starved.
+export function loadCheckpoint({ dir, shard = 0, readOnly = false }) {
+  const filePath = path.join(dir, `shard-${shard}.json`);
+  const saved = readCheckpointFile(filePath);
+  const lastFinished = saved.lastFinished;
+  let run = null;
+
+  const save = () => {
+    if (readOnly) return;
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ run, lastFinished }, null, 2));
+    fs.renameSync(tmpFile, filePath);
+  };
+
+  return {
+    filePath,
+
+    // The run that stopped before finishing its queue, or null
+    interrupted: saved.run && !saved.run.completedAt ? saved.run : null,
+
+    // Starts a new run, or with `resume` carries on with the interrupted
+    // one. Returns the run that is now current.
+    begin(runId, { resume = false } = {}) {
+      run =
+        resume && this.interrupted
+          ? this.interrupted
+          : {
+              id: runId,
+              startedAt: new Date().toISOString(),
+              completedAt: null,
+              finished: {},
+              articles: {},
+            };
+      save();
+      return run;
+    },
+
+    // Stocks the previous run never got to come first, in their original
+    // order, followed by the ones it finished, longest ago first.
+    order(stocks) {
+      const finishedAt = (stock) => lastFinished[stockKey(stock)] || "";
+      return stocks
+        .map((stock, index) => ({ stock, index }))
+        .sort(
+          (a, b) =>
+            finishedAt(a.stock).localeCompare(finishedAt(b.stock)) ||
+            a.index - b.index
+        )
+        .map(({ stock }) => stock);
+    },
+
+    isStockDone(stock) {
+      return Boolean(run?.finished[stockKey(stock)]);
+    },
+
+    isArticleDone(stock, link) {
+      return (run?.articles[stockKey(stock)] || []).includes(
+        canonicalArticleUrl(link)
+      );
+    },
+
+    articleDone(stock, link) {
+      const key = stockKey(stock);
+      run.articles[key] = [
+        ...(run.articles[key] || []),
+        canonicalArticleUrl(link),
+      ];
+      save();
+    },
+
+    stockDone(stock) {
+      const key = stockKey(stock);
+      const now = new Date().toISOString();
+      run.finished[key] = now;
+      lastFinished[key] = now;
+      delete run.articles[key];
+      save();
+    },
+
+    complete() {
+      run.completedAt = new Date().toISOString();
+      save();
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import { parseArgs } from "util";
+import { SINK_NAMES } from "./config-schema.js";
+
+export const USAGE = `Usage: node index.js [options]
+
+Targets (default: the configured stock source, e.g. the Google Sheet)
+  --symbol <EXCHANGE:SYMBOL>  Scrape this symbol only; repeatable
+  --url <news page URL>       Scrape this symbol news page only; repeatable
+  --limit <n>                 Process at most n stocks
+
+Time window
+  --since <date|span>         Consider news since an ISO date or e.g. 36h, 2d
+  --backfill <days>           Consider the last n days, ignoring watermarks
+  --resume                    Continue the shard's interrupted run, skipping
+                              the stocks and articles it already finished
+
+Output
+  --output <sinks>            Comma-separated sinks, overriding SINKS
+  --dry-run                   Extract and report, but write to no sink and
+                              leave the seen-article ledger untouched
+
+Debugging
+  --headful                   Show the browser window
+  --slowmo <ms>               Slow every Puppeteer operation down by ms
+  --dump-html <dir>           Save the HTML of every page the browser loads
+
+Sharding
+  --shard-index <i>           Zero-based shard of this job
+  --shard-count <n>           Number of shards the stock list is split into
+  --shard-strategy <name>     hash (default) or range
+
+Configuration
+  --print-config              Print the resolved settings (config file plus
+                              environment) with secrets redacted, and exit
+
+  -h, --help                  Show this help`;
+
+// Options parsed here as well as by the modules that own them, so the CLI
+// can reject unknown flags.
+const OPTIONS = {
+  symbol: { type: "string", multiple: true },
+  url: { type: "string", multiple: true },
+  limit: { type: "string" },
+  since: { type: "string" },
+  backfill: { type: "string" },
+  resume: { type: "boolean" },
+  output: { type: "string" },
+  "dry-run": { type: "boolean" },
+  headful: { type: "boolean" },
+  slowmo: { type: "string" },
+  "dump-html": { type: "string" },
+  "shard-index": { type: "string" },
+  "shard-count": { type: "string" },
+  "shard-strategy": { type: "string" },
+  "print-config": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+function positiveInteger(value, flag) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${flag} expects a positive whole number, got "${value}"`);
+  }
+  return number;
+}
+
+// The sinks named by --output, each checked against the known sinks
+function sinkList(value) {
+  if (value === undefined) return null;
+  const names = value
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = names.filter((name) => !SINK_NAMES.includes(name));
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(
+      `--output expects sinks from ${SINK_NAMES.join(", ")}, got "${value}"`
+    );
+  }
+  return names;
+}
+
+// Turns argv into the options scrapeTradingViewNews takes. Throws on unknown
+// flags and bad values; `argv` is kept for the shard and time-window
+// resolvers.
+export function parseCliArgs(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    strict: true,
+    allowPositionals: true,
+  });
+  if (positionals.length > 0) {
+    throw new Error(
+      `Unexpected argument "${positionals[0]}". Use --shard-index for the batch number.`
+    );
+  }
+
+  const slowMo =
+    values.slowmo === undefined ? 0 : Number.parseInt(values.slowmo, 10);
+  if (!(slowMo >= 0)) {
+    throw new Error(`--slowmo expects milliseconds, got "${values.slowmo}"`);
+  }
+
+  return {
+    argv,
+    help: values.help ?? false,
+    printConfig: values["print-config"] ?? false,
+    symbols: values.symbol ?? [],
+    urls: values.url ?? [],
+    limit: positiveInteger(values.limit, "--limit"),
+    output: sinkList(values.output),
+    dryRun: values["dry-run"] ?? false,
+    resume: values.resume ?? false,
+    headful: values.headful ?? false,
+    slowMo,
+    dumpHtml: values["dump-html"] ?? null,
+  };
+}
@@ -0,0 +1,184 @@
+import crypto from "crypto";
+
+// Signatures are stored in the seen-article ledger, so changing either of
+// these makes earlier signatures incomparable (they are then ignored).
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 64;
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finaliser, used to derive one hash function per seed
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) =>
+  mix32(Math.imul(i + 1, 0x9e3779b9))
+);
+
+// Word k-grams of the lower-cased text, punctuation ignored
+export function shingles(text, size = SHINGLE_SIZE) {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const result = new Set();
+  if (words.length < size) {
+    if (words.length > 0) result.add(words.join(" "));
+    return result;
+  }
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(" "));
+  }
+  return result;
+}
+
+// MinHash signature of the headline and body: for each of NUM_HASHES hash
+// functions the smallest hash over all shingles. The share of positions two
+// signatures agree on estimates the Jaccard similarity of their shingles.
+export function minhashSignature(headline, content) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles(`${headline || ""}\n${content || ""}`)) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix32(base ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+export function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+// Groups near-duplicate stories published within `windowHours` of each
+// other. The first story of a cluster is its canonical one; later ones are
+// returned as alternates pointing at it. `url` is the ledger key of a story
+// and `sourceUrl` the link it is published under. `seed` takes ledger
+// entries of earlier runs ({ url, sourceUrl, timestamp, signature,
+// clusterId }) so a story stored yesterday stays canonical today.
+export function createStoryClusters({ threshold, windowHours, seed = [] }) {
+  const windowMs = windowHours * 60 * 60 * 1000;
+  const stories = [];
+  const alternates = new Map();
+
+  for (const entry of seed) {
+    if (entry.signature?.length !== NUM_HASHES || !entry.timestamp) continue;
+    stories.push({
+      url: entry.url,
+      time: new Date(entry.timestamp).getTime(),
+      signature: entry.signature,
+      clusterId: entry.clusterId,
+      canonicalUrl: entry.canonicalUrl || entry.url,
+      canonicalSourceUrl:
+        (entry.canonicalUrl ? entry.canonicalSourceUrl : entry.sourceUrl) ??
+        null,
+      headline: entry.headline,
+      provider: entry.provider,
+    });
+  }
+
+  return {
+    // Returns { id, canonical: true } for a new story, or { id, canonical:
+    // false, canonicalUrl, canonicalSourceUrl, similarity } for a
+    // near-duplicate of a stored one.
+    assign({ url, sourceUrl, headline, provider, timestamp, signature }) {
+      const time = new Date(timestamp).getTime();
+      let best = null;
+      for (const story of stories) {
+        if (Math.abs(story.time - time) > windowMs) continue;
+        const similarity = estimateSimilarity(signature, story.signature);
+        if (
+          similarity >= threshold &&
+          (!best || similarity > best.similarity)
+        ) {
+          best = { story, similarity };
+        }
+      }
+
+      const cluster = best
+        ? {
+            id: best.story.clusterId,
+            canonical: false,
+            canonicalUrl: best.story.canonicalUrl,
+            canonicalSourceUrl: best.story.canonicalSourceUrl,
+            similarity: Math.round(best.similarity * 100) / 100,
+          }
+        : {
+            id: crypto
+              .createHash("sha1")
+              .update(url)
+              .digest("hex")
+              .slice(0, 12),
+            canonical: true,
+          };
+
+      stories.push({
+        url,
+        time,
+        signature,
+        clusterId: cluster.id,
+        canonicalUrl: cluster.canonicalUrl || url,
+        canonicalSourceUrl: cluster.canonical
+          ? sourceUrl || null
+          : cluster.canonicalSourceUrl,
+        headline,
+        provider,
+      });
+      if (!cluster.canonical) {
+        const list = alternates.get(cluster.id) || [];
+        list.push({ url, headline, provider, similarity: cluster.similarity });
+        alternates.set(cluster.id, list);
+      }
+      return cluster;
+    },
+
+    // Clusters that gained alternates during this run, for the run report
+    summary() {
+      return Array.from(alternates, ([id, list]) => {
+        const { canonicalUrl } = stories.find((s) => s.clusterId === id);
+        const canonical = stories.find((s) => s.url === canonicalUrl);
+        return {
+          id,
+          canonicalUrl,
+          headline: canonical?.headline,
+          provider: canonical?.provider,
+          alternates: list,
+        };
+      });
+    },
+  };
+}
+
+// The cluster of a record as flat fields for sinks: its id, whether the
+// record is the canonical story and the published URL of that story. Records
+// that were never clustered count as canonical.
+export function clusterFields(record) {
+  const { cluster } = record;
+  const alternate = cluster?.canonical === false;
+  return {
+    clusterId: cluster?.id ?? null,
+    isCanonical: !alternate,
+    canonicalUrl: alternate
+      ? cluster.canonicalSourceUrl || cluster.canonicalUrl
+      : record.canonicalUrl,
+  };
+}
@@ -0,0 +1,65 @@
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs `worker` over `items` with at most `limit` calls in flight and
+// returns the results in input order.
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runner() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, runner)
+  );
+  return results;
+}
+
+// Spaces out navigations globally (`requestsPerSecond`) and caps how many
+// run against one host at a time (`maxPerHost`), replacing the fixed sleeps
+// between stocks and articles.
+export function createThrottle({ requestsPerSecond, maxPerHost }) {
+  const interval = 1000 / requestsPerSecond;
+  const active = new Map();
+  const waiting = new Map();
+  let nextSlot = 0;
+
+  async function acquireHost(host) {
+    while ((active.get(host) || 0) >= maxPerHost) {
+      if (!waiting.has(host)) waiting.set(host, []);
+      await new Promise((resolve) => waiting.get(host).push(resolve));
+    }
+    active.set(host, (active.get(host) || 0) + 1);
+  }
+
+  function releaseHost(host) {
+    active.set(host, active.get(host) - 1);
+    waiting.get(host)?.shift()?.();
+  }
+
+  async function takeRateSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await delay(slot - now);
+  }
+
+  return {
+    async run(url, fn) {
+      const host = new URL(url).hostname;
+      await acquireHost(host);
+      try {
+        await takeRateSlot();
+        return await fn();
+      } finally {
+        releaseHost(host);
+      }
+    },
+  };
+}
@@ -0,0 +1,20 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { ConfigError } from "./config-schema.js";
+
+// Reads a JSON or, by extension, YAML config file.
+export function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+}
+
+// Reads a file of overrides the user named; one that is missing or does not
+// parse throws a ConfigError instead of the parser's error.
+export function readOverrideFile(filePath) {
+  try {
+    return readConfigFile(path.resolve(filePath)) || {};
+  } catch (error) {
+    throw new ConfigError(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
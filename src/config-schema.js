@@ -0,0 +1,414 @@
+import crypto from "crypto";
+import fs from "fs";
+import { isValidTimeZone } from "./dates.js";
+
+export const SINK_NAMES = [
+  "wordpress",
+  "ndjson",
+  "csv",
+  "sheet",
+  "webhook",
+  "sqlite",
+];
+
+// Request types Puppeteer can block
+const RESOURCE_TYPES = [
+  "document",
+  "stylesheet",
+  "image",
+  "media",
+  "font",
+  "script",
+  "texttrack",
+  "xhr",
+  "fetch",
+  "prefetch",
+  "eventsource",
+  "websocket",
+  "manifest",
+  "signedexchange",
+  "ping",
+  "cspviolationreport",
+  "preflight",
+  "other",
+];
+
+// A setting that is invalid (CONFIG_INVALID) or that the run needs but lacks
+// (CONFIG_MISSING). The CLI prints these without a stack trace.
+export class ConfigError extends Error {
+  constructor(message, code = "CONFIG_INVALID") {
+    super(message);
+    this.name = "ConfigError";
+    this.code = code;
+  }
+}
+
+const field = (type, env, options = {}) => ({ type, env, ...options });
+
+// Every setting of config/scraper.json: its type, the environment variable
+// that overrides it and its bounds. `nullable` settings may be left unset;
+// `secret` ones are redacted by --print-config.
+export const CONFIG_SCHEMA = {
+  scraper: {
+    fetchMode: field("enum", "FETCH_MODE", {
+      values: ["auto", "http", "browser"],
+    }),
+    newsApiBaseUrl: field("url", "NEWS_API_BASE_URL"),
+    newsLang: field("string", "NEWS_LANG"),
+    reportingTimeZone: field("timezone", "REPORTING_TIMEZONE"),
+    pagePoolSize: field("integer", "PAGE_POOL_SIZE", { min: 1 }),
+    maxConcurrentPerHost: field("integer", "MAX_CONCURRENT_PER_HOST", {
+      min: 1,
+    }),
+    navigationsPerSecond: field("number", "NAVIGATIONS_PER_SECOND", {
+      above: 0,
+    }),
+    userAgent: field("string", "USER_AGENT"),
+    viewportWidth: field("integer", "VIEWPORT_WIDTH", { min: 320 }),
+    viewportHeight: field("integer", "VIEWPORT_HEIGHT", { min: 240 }),
+    blockedResourceTypes: field("list", "BLOCKED_RESOURCE_TYPES", {
+      values: RESOURCE_TYPES,
+    }),
+    newsPageTimeoutMs: field("integer", "NEWS_PAGE_TIMEOUT_MS", { min: 1000 }),
+    articlePageTimeoutMs: field("integer", "ARTICLE_PAGE_TIMEOUT_MS", {
+      min: 1000,
+    }),
+    selectorTimeoutMs: field("integer", "SELECTOR_TIMEOUT_MS", { min: 0 }),
+    networkIdleTimeoutMs: field("integer", "NETWORK_IDLE_TIMEOUT_MS", {
+      min: 0,
+    }),
+    newsApiTimeoutMs: field("integer", "NEWS_API_TIMEOUT_MS", { min: 1000 }),
+    pageTaskTimeoutMs: field("integer", "PAGE_TASK_TIMEOUT_MS", { min: 0 }),
+    browserProbeTimeoutMs: field("integer", "BROWSER_PROBE_TIMEOUT_MS", {
+      min: 100,
+    }),
+    browserRetries: field("integer", "BROWSER_RETRIES", { min: 0 }),
+    scrollMaxSteps: field("integer", "SCROLL_MAX_STEPS", { min: 1 }),
+    scrollMaxMs: field("integer", "SCROLL_MAX_MS", { min: 0 }),
+    scrollMaxCards: field("integer", "SCROLL_MAX_CARDS", { min: 1 }),
+    maxArticlesPerSymbol: field("integer", "MAX_ARTICLES_PER_SYMBOL", {
+      min: 0,
+    }),
+    maxNewArticlesPerRun: field("integer", "MAX_NEW_ARTICLES_PER_RUN", {
+      min: 0,
+    }),
+    runBudgetMinutes: field("number", "RUN_BUDGET_MINUTES", { min: 0 }),
+    clusterSimilarity: field("number", "CLUSTER_SIMILARITY", {
+      above: 0,
+      max: 1,
+    }),
+    clusterWindowHours: field("number", "CLUSTER_WINDOW_HOURS", { above: 0 }),
+    // Overrides laid over config/selectors.json, paywall.json and
+    // enrichment.json
+    selectorsFile: field("file", "SELECTORS_FILE", { nullable: true }),
+    paywallRulesFile: field("file", "PAYWALL_RULES_FILE", { nullable: true }),
+    enrichmentFile: field("file", "ENRICHMENT_FILE", { nullable: true }),
+    seenStoreDir: field("string", "SEEN_STORE_DIR"),
+    seenRetentionDays: field("integer", "SEEN_RETENTION_DAYS", { min: 1 }),
+    checkpointDir: field("string", "CHECKPOINT_DIR", { nullable: true }),
+    selectorHealthPath: field("string", "SELECTOR_HEALTH_PATH"),
+    reportPath: field("string", "REPORT_PATH"),
+    reportMarkdownPath: field("string", "REPORT_MARKDOWN_PATH"),
+    metricsPath: field("string", "METRICS_PATH", { nullable: true }),
+    sheetWriteBack: field("boolean", "SHEET_WRITE_BACK"),
+    sheetStaleNewsDays: field("integer", "SHEET_STALE_NEWS_DAYS", { min: 1 }),
+    apiHost: field("string", "API_HOST"),
+    apiPort: field("integer", "API_PORT", { min: 0, max: 65535 }),
+  },
+  scanWindow: {
+    since: field("string", "SINCE", { nullable: true }),
+    backfillDays: field("number", "BACKFILL_DAYS", {
+      above: 0,
+      nullable: true,
+    }),
+    lookbackDays: field("number", "LOOKBACK_DAYS", { above: 0 }),
+    watermarkOverlapMinutes: field("number", "WATERMARK_OVERLAP_MINUTES", {
+      min: 0,
+    }),
+  },
+  shard: {
+    index: field("integer", "SHARD_INDEX", { min: 0 }),
+    count: field("integer", "SHARD_COUNT", { min: 1 }),
+    strategy: field("enum", "SHARD_STRATEGY", { values: ["hash", "range"] }),
+  },
+  googleSheet: {
+    sheetId: field("string", "SHEET_ID", { nullable: true }),
+    sheetName: field("string", "SHEET_NAME", { nullable: true }),
+    serviceAccountEmail: field("string", "GOOGLE_SERVICE_ACCOUNT_EMAIL", {
+      nullable: true,
+    }),
+    privateKey: field("privateKey", "GOOGLE_PRIVATE_KEY", {
+      nullable: true,
+      secret: true,
+    }),
+  },
+  stockSource: {
+    type: field("enum", "STOCK_SOURCE", {
+      values: ["sheet", "file", "symbols"],
+    }),
+    filePath: field("string", "STOCK_FILE", { nullable: true }),
+    symbols: field("string", "STOCK_SYMBOLS", { nullable: true }),
+    symbolsFile: field("string", "STOCK_SYMBOLS_FILE", { nullable: true }),
+    baseUrl: field("url", "TRADINGVIEW_BASE_URL"),
+  },
+  sinks: {
+    enabled: field("list", "SINKS", { values: SINK_NAMES }),
+    canonicalOnly: field("list", "SINKS_CANONICAL_ONLY", {
+      values: SINK_NAMES,
+    }),
+    requestTimeoutMs: field("integer", "SINK_TIMEOUT_MS", { min: 1000 }),
+    wordpress: {
+      apiUrl: field("url", "WP_API_URL"),
+      user: field("string", "WP_USER", { nullable: true }),
+      pass: field("string", "WP_PASS", { nullable: true, secret: true }),
+    },
+    ndjson: { filePath: field("string", "SINK_NDJSON_PATH") },
+    csv: { filePath: field("string", "SINK_CSV_PATH") },
+    sqlite: { filePath: field("string", "SINK_SQLITE_PATH") },
+    sheet: {
+      sheetId: field("string", "SINK_SHEET_ID", { nullable: true }),
+      tabName: field("string", "SINK_SHEET_TAB"),
+    },
+    webhook: {
+      url: field("url", "WEBHOOK_URL", { nullable: true }),
+      token: field("string", "WEBHOOK_TOKEN", {
+        nullable: true,
+        secret: true,
+      }),
+    },
+    retry: {
+      retries: field("integer", "SINK_RETRIES", { min: 0 }),
+      baseDelayMs: field("integer", "SINK_RETRY_BASE_MS", { min: 0 }),
+      maxDelayMs: field("integer", "SINK_RETRY_MAX_MS", { min: 0 }),
+    },
+    deadLetterPath: field("string", "DEAD_LETTER_PATH"),
+  },
+};
+
+const isField = (node) => typeof node?.type === "string";
+
+// [path, spec] for every setting, e.g. ["sinks.wordpress.user", {...}]
+function fields(schema = CONFIG_SCHEMA, prefix = "") {
+  return Object.entries(schema).flatMap(([key, node]) =>
+    isField(node) ? [[prefix + key, node]] : fields(node, `${prefix}${key}.`)
+  );
+}
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => value?.[key], object);
+
+function setPath(object, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+}
+
+// Text from the environment to the setting's type; throws on nonsense
+function parseEnvValue(text, spec) {
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const number = Number(text);
+      if (Number.isNaN(number)) {
+        throw new Error(`expected a number, got "${text}"`);
+      }
+      return number;
+    }
+    case "boolean":
+      if (/^(true|1|yes)$/i.test(text)) return true;
+      if (/^(false|0|no)$/i.test(text)) return false;
+      throw new Error(`expected true or false, got "${text}"`);
+    case "list":
+      return text
+        .split(",")
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+    case "enum":
+      return text.trim().toLowerCase();
+    case "privateKey":
+      // Keys pasted into .env usually carry literal \n sequences
+      return text.replace(/\\n/g, "\n");
+    default:
+      return text;
+  }
+}
+
+// Why `value` does not fit `spec`, or null
+function checkValue(value, spec) {
+  if (value === null || value === undefined) {
+    return spec.nullable ? null : "is required";
+  }
+  const shown = JSON.stringify(value);
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const whole = spec.type === "integer";
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        return `expected a ${whole ? "whole number" : "number"}, got ${shown}`;
+      }
+      if (whole && !Number.isInteger(value)) {
+        return `expected a whole number, got ${shown}`;
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}, got ${shown}`;
+      }
+      if (spec.above !== undefined && !(value > spec.above)) {
+        return `must be greater than ${spec.above}, got ${shown}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}, got ${shown}`;
+      }
+      return null;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? null : `expected true or false`;
+    case "enum":
+      return spec.values.includes(value)
+        ? null
+        : `must be one of ${spec.values.join(", ")}, got ${shown}`;
+    case "list": {
+      if (!Array.isArray(value)) return `expected a list, got ${shown}`;
+      const unknown = value.filter((item) => !spec.values.includes(item));
+      return unknown.length
+        ? `unknown ${unknown
+            .map((v) => `"${v}"`)
+            .join(", ")} (use ${spec.values.join(", ")})`
+        : null;
+    }
+    case "url":
+      try {
+        new URL(value);
+        return null;
+      } catch {
+        return `expected a URL, got ${shown}`;
+      }
+    case "file":
+      return typeof value === "string" && fs.existsSync(value)
+        ? null
+        : `names no existing file: ${shown}`;
+    case "timezone":
+      return typeof value === "string" && isValidTimeZone(value)
+        ? null
+        : `expected an IANA time zone such as Asia/Kolkata, got ${shown}`;
+    case "privateKey":
+      try {
+        crypto.createPrivateKey(value);
+        return null;
+      } catch {
+        return "is not a valid PEM private key (keep the BEGIN/END lines and the \\n line breaks)";
+      }
+    default:
+      return typeof value === "string" ? null : `expected text, got ${shown}`;
+  }
+}
+
+const label = (path, spec) => `${path} (${spec.env})`;
+
+// Lays `override` (the CONFIG_FILE contents) over the shipped `defaults`,
+// then the environment over both, and checks every setting against the
+// schema. Throws one error listing every problem found.
+export function resolveConfig({ defaults, override = {}, env = {} }) {
+  const problems = [];
+  const config = structuredClone(defaults);
+
+  const merge = (target, source, schema, prefix) => {
+    for (const [key, value] of Object.entries(source || {})) {
+      const node = schema[key];
+      if (!node) {
+        problems.push(`${prefix}${key} is not a known setting`);
+      } else if (isField(node) || value === null || typeof value !== "object") {
+        target[key] = value;
+      } else {
+        target[key] ??= {};
+        merge(target[key], value, node, `${prefix}${key}.`);
+      }
+    }
+  };
+  merge(config, override, CONFIG_SCHEMA, "");
+
+  for (const [path, spec] of fields()) {
+    const text = env[spec.env];
+    // Unset and empty variables leave the file's value alone
+    if (text === undefined || text === "") continue;
+    try {
+      setPath(config, path, parseEnvValue(text, spec));
+    } catch (error) {
+      problems.push(`${label(path, spec)}: ${error.message}`);
+    }
+  }
+
+  for (const [path, spec] of fields()) {
+    const problem = checkValue(getPath(config, path), spec);
+    if (problem) problems.push(`${label(path, spec)} ${problem}`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
+  }
+  return config;
+}
+
+// Settings a run needs depend on what it does: the sinks it writes to and
+// where its stocks come from. Lists what is missing, empty when nothing is.
+export function missingRunSettings(
+  config,
+  { sinks = config.sinks.enabled, stockSource = config.stockSource.type } = {}
+) {
+  const missing = [];
+  const need = (path, why) => {
+    const spec = getPath(CONFIG_SCHEMA, path);
+    if (getPath(config, path) == null) {
+      missing.push(`${label(path, spec)} is required ${why}`);
+    }
+  };
+  const needSheetAccount = (why) => {
+    need("googleSheet.serviceAccountEmail", why);
+    need("googleSheet.privateKey", why);
+  };
+
+  if (sinks.includes("wordpress")) {
+    need("sinks.wordpress.user", "by the wordpress sink");
+    need("sinks.wordpress.pass", "by the wordpress sink");
+  }
+  if (sinks.includes("webhook")) {
+    need("sinks.webhook.url", "by the webhook sink");
+  }
+  if (sinks.includes("sheet")) {
+    if (config.sinks.sheet.sheetId == null) {
+      need("googleSheet.sheetId", "by the sheet sink (or set SINK_SHEET_ID)");
+    }
+    needSheetAccount("by the sheet sink");
+  }
+  if (stockSource === "sheet") {
+    need("googleSheet.sheetId", "to read stocks from the Google Sheet");
+    need("googleSheet.sheetName", "to read stocks from the Google Sheet");
+    needSheetAccount("to read stocks from the Google Sheet");
+  }
+  if (stockSource === "file") {
+    need("stockSource.filePath", "by the file stock source");
+  }
+  if (
+    stockSource === "symbols" &&
+    !config.stockSource.symbols &&
+    !config.stockSource.symbolsFile
+  ) {
+    missing.push(
+      "stockSource.symbols (STOCK_SYMBOLS) or stockSource.symbolsFile (STOCK_SYMBOLS_FILE) is required by the symbols stock source"
+    );
+  }
+  return [...new Set(missing)];
+}
+
+// A copy with every secret that is set replaced by a marker
+export function redactConfig(config) {
+  const copy = structuredClone(config);
+  for (const [path, spec] of fields()) {
+    if (spec.secret && getPath(copy, path) != null) {
+      setPath(copy, path, "[redacted]");
+    }
+  }
+  return copy;
+}
@@ -0,0 +1,127 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { readConfigFile, readOverrideFile } from "./config-file.js";
+import {
+  CONFIG_SCHEMA,
+  ConfigError,
+  resolveConfig,
+  missingRunSettings,
+} from "./config-schema.js";
+
+dotenv.config({ quiet: true });
+
+export const DEFAULT_CONFIG_PATH = fileURLToPath(
+  new URL("../config/scraper.json", import.meta.url)
+);
+
+let settingsError = null;
+const overrideErrors = [];
+
+// Every setting lives in config/scraper.json. CONFIG_FILE (JSON or YAML)
+// names a file laid over it, and the environment variables listed in
+// src/config-schema.js override both. Importing never throws for a bad
+// setting, as index.js is also a library: the shipped defaults stand in and
+// assertValidSettings() reports the problem before anything is started.
+function loadSettings() {
+  const defaults = readConfigFile(DEFAULT_CONFIG_PATH);
+  try {
+    return resolveConfig({
+      defaults,
+      override: process.env.CONFIG_FILE
+        ? readOverrideFile(process.env.CONFIG_FILE)
+        : {},
+      env: process.env,
+    });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    settingsError = error;
+    return resolveConfig({ defaults });
+  }
+}
+
+export const SETTINGS = loadSettings();
+
+// Throws the ConfigError of an invalid config file, environment variable or
+// override file
+export function assertValidSettings() {
+  if (settingsError) throw settingsError;
+  if (overrideErrors.length > 0) {
+    throw new ConfigError(
+      `Invalid configuration:\n${overrideErrors
+        .map((p) => `  - ${p}`)
+        .join("\n")}`
+    );
+  }
+}
+
+// The "scraper" section. Ledger directory: the workflow restores it between
+// runs so nothing gets posted twice. Checkpoints sit inside it by default so
+// the same workflow cache carries them.
+export const CONFIG = {
+  ...SETTINGS.scraper,
+  checkpointDir:
+    SETTINGS.scraper.checkpointDir ??
+    `${SETTINGS.scraper.seenStoreDir}/checkpoints`,
+};
+
+// Rules from `load(CONFIG[key])`: the shipped ones with the override file
+// that setting names laid over them. Like the settings, a malformed override
+// does not throw on import; the shipped rules stand in and
+// assertValidSettings() reports it.
+export function loadOverridable(load, key) {
+  try {
+    return load(CONFIG[key]);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    overrideErrors.push(
+      `scraper.${key} (${CONFIG_SCHEMA.scraper[key].env}): ${error.message}`
+    );
+    return load(null);
+  }
+}
+
+// Defaults for --since/--backfill and --shard-*, which override them
+export const SCAN_WINDOW_CONFIG = SETTINGS.scanWindow;
+export const SHARD_CONFIG = SETTINGS.shard;
+
+export const GOOGLE_SHEET_CONFIG = {
+  sheetId: SETTINGS.googleSheet.sheetId,
+  sheetName: SETTINGS.googleSheet.sheetName,
+  serviceAccount: {
+    email: SETTINGS.googleSheet.serviceAccountEmail,
+    privateKey: SETTINGS.googleSheet.privateKey,
+  },
+};
+
+// Where the watchlist comes from: the Google Sheet, a local CSV/JSON file
+// (filePath) or a list of EXCHANGE:SYMBOL pairs (symbols, or one per line
+// in symbolsFile).
+export const STOCK_SOURCE_CONFIG = {
+  ...SETTINGS.stockSource,
+  sheet: GOOGLE_SHEET_CONFIG,
+};
+
+// Enabled sinks and their settings. Transient failures (timeouts, 5xx, 429)
+// are retried with exponential backoff before a record is given up on and
+// sent to the dead-letter file.
+export const SINK_CONFIG = {
+  ...SETTINGS.sinks,
+  sheet: {
+    ...SETTINGS.sinks.sheet,
+    sheetId: SETTINGS.sinks.sheet.sheetId ?? GOOGLE_SHEET_CONFIG.sheetId,
+    serviceAccount: GOOGLE_SHEET_CONFIG.serviceAccount,
+  },
+};
+
+// Throws when the run as configured lacks settings it cannot do without,
+// such as WordPress credentials while the wordpress sink is enabled.
+export function assertRunSettings(options) {
+  assertValidSettings();
+  const missing = missingRunSettings(SETTINGS, options);
+  if (missing.length > 0) {
+    throw new ConfigError(
+      `Missing configuration:\n${missing.map((m) => `  - ${m}`).join("\n")}`,
+      "CONFIG_MISSING"
+    );
+  }
+}
@@ -0,0 +1,98 @@
+// Turns whatever TradingView puts in a card or article into an instant:
+// ISO/RFC dates, epoch seconds or milliseconds (as numbers or strings), and
+// relative labels such as "3 hours ago", "5h", "Yesterday" or "Jun 21".
+// Returns a Date, or null when the value cannot be understood.
+//
+// The function is self-contained because it is also shipped into the page
+// by runInPage (see extract.js).
+export function parseArticleTimestamp(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+
+  if (
+    typeof value === "number" ||
+    /^\d{9,13}(\.\d+)?$/.test(String(value).trim())
+  ) {
+    const number = Number(value);
+    // Ten digits or fewer are seconds, thirteen are milliseconds
+    const date = new Date(number < 1e11 ? number * 1000 : number);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const text = String(value).trim().toLowerCase().replace(/\s+/g, " ");
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  const UNITS = {
+    s: 1000,
+    sec: 1000,
+    second: 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    minute: 60 * 1000,
+    h: HOUR,
+    hr: HOUR,
+    hour: HOUR,
+    d: DAY,
+    day: DAY,
+    w: 7 * DAY,
+    wk: 7 * DAY,
+    week: 7 * DAY,
+    mo: 30 * DAY,
+    month: 30 * DAY,
+    y: 365 * DAY,
+    yr: 365 * DAY,
+    year: 365 * DAY,
+  };
+
+  if (text === "just now" || text === "now" || text === "today") {
+    return new Date(now);
+  }
+  if (text === "yesterday") return new Date(now - DAY);
+
+  const relative = text.match(
+    /^(an?|\d+)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?|mo|months?|y|yrs?|years?)( ago)?$/
+  );
+  if (relative) {
+    const amount = /^an?$/.test(relative[1]) ? 1 : parseInt(relative[1], 10);
+    const unit = relative[2].replace(/s$/, "");
+    const size = UNITS[unit] ?? UNITS[relative[2]];
+    if (size) return new Date(now - amount * size);
+  }
+
+  const absolute = new Date(value);
+  if (!Number.isNaN(absolute.getTime())) {
+    // "Jun 21" parses to the year 2001; pin it to the latest such day that
+    // is not in the future.
+    if (!/\d{4}/.test(text)) {
+      const current = new Date(now);
+      absolute.setFullYear(current.getFullYear());
+      if (absolute.getTime() > now + DAY) {
+        absolute.setFullYear(current.getFullYear() - 1);
+      }
+    }
+    return absolute;
+  }
+
+  return null;
+}
+
+// Calendar date ("YYYY-MM-DD") of an instant in the given IANA time zone, so
+// that an evening IST story is filed under its Indian date and not UTC's.
+export function formatDateInZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,73 @@
+import fs from "fs";
+import path from "path";
+
+// Records a sink could not take even after retries are appended here as
+// NDJSON, one { sink, record, error, failedAt } object per line, so they can
+// be replayed later without scraping TradingView again.
+export function createDeadLetterQueue(filePath) {
+  // Lines readAll() could not parse, such as one cut short when a job was
+  // killed mid-append. rewrite() keeps them so nothing is silently lost.
+  let unreadable = [];
+
+  return {
+    filePath,
+
+    push(sinkName, record, error) {
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(
+          filePath,
+          JSON.stringify({
+            sink: sinkName,
+            record,
+            error: error || null,
+            failedAt: new Date().toISOString(),
+          }) + "\n"
+        );
+      } catch (err) {
+        console.error(
+          `Could not write dead letter to ${filePath}:`,
+          err.message
+        );
+      }
+    },
+
+    readAll() {
+      unreadable = [];
+      if (!fs.existsSync(filePath)) return [];
+      const entries = [];
+      fs.readFileSync(filePath, "utf8")
+        .split("\n")
+        .forEach((line, index) => {
+          if (!line.trim()) return;
+          try {
+            entries.push(JSON.parse(line));
+          } catch (error) {
+            console.warn(
+              `Keeping unreadable dead letter on line ${
+                index + 1
+              } of ${filePath}: ${error.message}`
+            );
+            unreadable.push(line);
+          }
+        });
+      return entries;
+    },
+
+    // Replaces the file with the given entries and the lines readAll() could
+    // not parse, removing it when none remain.
+    rewrite(entries) {
+      const lines = [
+        ...entries.map((entry) => JSON.stringify(entry)),
+        ...unreadable,
+      ];
+      if (lines.length === 0) {
+        fs.rmSync(filePath, { force: true });
+        return;
+      }
+      const tmpFile = `${filePath}.tmp`;
+      fs.writeFileSync(tmpFile, lines.join("\n") + "\n");
+      fs.renameSync(tmpFile, filePath);
+    },
+  };
+}
@@ -0,0 +1,135 @@
+import { fileURLToPath } from "url";
+import { readConfigFile, readOverrideFile } from "./config-file.js";
+import { ConfigError } from "./config-schema.js";
+import { loadOverridable } from "./config.js";
+
+export const DEFAULT_ENRICHMENT_PATH = fileURLToPath(
+  new URL("../config/enrichment.json", import.meta.url)
+);
+
+const LEXICON_LISTS = ["positive", "negative", "negators"];
+
+// How many words before a lexicon word a negator flips it: "not strong"
+const NEGATION_WINDOW = 3;
+
+const isStringArray = (list) =>
+  Array.isArray(list) && list.every((v) => typeof v === "string");
+
+// Lower-cased words, with punctuation other than apostrophes as separators
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .split(/[^a-z0-9']+/)
+    .filter(Boolean);
+}
+
+// Loads the shipped tag dictionary and sentiment lexicon and lays
+// `overridePath` (JSON or YAML) over them: tags are merged by name, so an
+// override can add a tag or replace one tag's keywords, and the sentiment
+// settings key by key.
+export function loadEnrichmentRules(overridePath) {
+  const rules = readConfigFile(DEFAULT_ENRICHMENT_PATH);
+
+  if (overridePath) {
+    const override = readOverrideFile(overridePath);
+    for (const name of Object.keys(override)) {
+      if (name !== "tags" && name !== "sentiment") {
+        throw new ConfigError(
+          `Unknown enrichment section "${name}" in ${overridePath}`
+        );
+      }
+    }
+    rules.tags = { ...rules.tags, ...override.tags };
+    rules.sentiment = { ...rules.sentiment, ...override.sentiment };
+  }
+
+  for (const [tag, keywords] of Object.entries(rules.tags)) {
+    if (!isStringArray(keywords)) {
+      throw new ConfigError(`Keywords of tag "${tag}" must be a string array`);
+    }
+  }
+  for (const name of LEXICON_LISTS) {
+    if (!isStringArray(rules.sentiment[name])) {
+      throw new ConfigError(`Sentiment list "${name}" must be a string array`);
+    }
+  }
+  for (const name of ["headlineWeight", "threshold"]) {
+    if (!Number.isFinite(rules.sentiment[name])) {
+      throw new ConfigError(`Sentiment setting "${name}" must be a number`);
+    }
+  }
+
+  if (overridePath) {
+    console.log(`Loaded enrichment overrides from ${overridePath}`);
+  }
+  return rules;
+}
+
+// Names of the tags one of whose keywords appears in `text` as whole words,
+// in dictionary order.
+export function tagArticle(text, tags) {
+  const haystack = ` ${tokenize(text).join(" ")} `;
+  return Object.entries(tags)
+    .filter(([, keywords]) =>
+      keywords.some((keyword) => {
+        const needle = tokenize(keyword).join(" ");
+        return needle && haystack.includes(` ${needle} `);
+      })
+    )
+    .map(([tag]) => tag);
+}
+
+// Counts lexicon words in the headline (weighted) and body, flipping those
+// shortly after a negator. The score is (positive - negative) / total in
+// -1..1, and 0 when no lexicon word was found.
+export function scoreSentiment(headline, content, lexicon) {
+  const positive = new Set(lexicon.positive.map((w) => w.toLowerCase()));
+  const negative = new Set(lexicon.negative.map((w) => w.toLowerCase()));
+  const negators = new Set(lexicon.negators.map((w) => w.toLowerCase()));
+  let pos = 0;
+  let neg = 0;
+
+  const count = (text, weight) => {
+    const words = tokenize(text);
+    words.forEach((word, i) => {
+      let polarity = positive.has(word) ? 1 : negative.has(word) ? -1 : 0;
+      if (!polarity) return;
+      const before = words.slice(Math.max(0, i - NEGATION_WINDOW), i);
+      if (before.some((w) => negators.has(w))) polarity = -polarity;
+      if (polarity > 0) pos += weight;
+      else neg += weight;
+    });
+  };
+  count(headline, lexicon.headlineWeight);
+  count(content, 1);
+
+  const score = pos + neg === 0 ? 0 : (pos - neg) / (pos + neg);
+  return {
+    score: Math.round(score * 100) / 100,
+    label:
+      score >= lexicon.threshold
+        ? "positive"
+        : score <= -lexicon.threshold
+        ? "negative"
+        : "neutral",
+    positive: pos,
+    negative: neg,
+  };
+}
+
+// The record with `tags` and `sentiment` added. Runs offline on the
+// headline and plain-text content only.
+export function enrichArticle(record, rules) {
+  const text = `${record.headline || ""}\n${record.content || ""}`;
+  return {
+    ...record,
+    tags: tagArticle(text, rules.tags),
+    sentiment: scoreSentiment(record.headline, record.content, rules.sentiment),
+  };
+}
+
+export const ENRICHMENT_RULES = loadOverridable(
+  loadEnrichmentRules,
+  "enrichmentFile"
+);
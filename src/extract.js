@@ -0,0 +1,705 @@
+// Pure extraction functions over a DOM `document`. The same functions run in
+// Node against jsdom (see test/) and inside the browser through runInPage, so
+// each one may only use DOM APIs, its arguments and the other functions
+// listed in PAGE_FUNCTIONS below.
+
+import { parseArticleTimestamp } from "./dates.js";
+import { parseTicker } from "./tickers.js";
+
+// Browsers give layout-aware innerText; jsdom only has textContent.
+export function elementText(el) {
+  return (el?.innerText ?? el?.textContent ?? "").trim();
+}
+
+// The raw time value of a news card: an attribute of its time element or,
+// failing that, the element's text ("2 hours ago")
+export function cardTimestamp(element, timeSelectors) {
+  for (const selector of timeSelectors) {
+    const t = element.querySelector(selector);
+    if (t) {
+      const timestamp =
+        t.getAttribute("event-time") ||
+        t.getAttribute("datetime") ||
+        t.getAttribute("data-timestamp") ||
+        t.textContent?.trim();
+      if (timestamp) return timestamp;
+    }
+  }
+  return null;
+}
+
+// `phrases` are expected lower-cased, as loadPaywallRules leaves them.
+export function containsRestrictedPhrase(text, phrases) {
+  const textLower = text.toLowerCase();
+  return phrases.some((phrase) => textLower.includes(phrase));
+}
+
+// Tickers linked or tagged inside `root`: symbol links such as
+// /symbols/NSE-INFY/ and elements carrying data-symbol="NSE:INFY".
+export function extractTickers(root, tickerSelectors) {
+  const tickers = [];
+  const seen = new Set();
+
+  root.querySelectorAll(tickerSelectors.join(",")).forEach((el) => {
+    const ticker =
+      parseTicker(el.getAttribute("data-symbol")) ||
+      parseTicker(el.getAttribute("href"));
+    if (!ticker) return;
+
+    const key = `${ticker.exchange}:${ticker.symbol}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    tickers.push(ticker);
+  });
+
+  return tickers;
+}
+
+// Ticker chips of an article page. Only the article itself is searched so
+// that watchlists and related-symbol widgets around it are ignored.
+export function extractArticleTickers(document, tickerSelectors) {
+  const container =
+    document.querySelector("article") || document.querySelector("main");
+  return container ? extractTickers(container, tickerSelectors) : [];
+}
+
+// Reads the headline cards of a symbol news page. Cards published before
+// `since` (epoch ms, optional) are dropped, with relative times read against
+// `now`. Timestamps are normalised to ISO strings; a card whose time cannot
+// be parsed keeps `timestamp: null` and its `rawTimestamp` so the caller can
+// report it. Cards whose headline contains one of `headlinePhrases` are
+// members-only teasers and are skipped.
+export function extractNewsCards(
+  document,
+  selectors,
+  symbol,
+  { now, since = null, headlinePhrases = [] }
+) {
+  const articles = [];
+
+  document
+    .querySelectorAll(selectors.articleSelectors.join(","))
+    .forEach((element) => {
+      // HEADLINE
+      let headline = null;
+      for (const selector of selectors.headlineSelectors) {
+        const h = element.querySelector(selector);
+        if (h) {
+          headline =
+            h.getAttribute("data-overflow-tooltip-text") ||
+            h.getAttribute("title") ||
+            h.textContent?.trim();
+          if (headline) break;
+        }
+      }
+
+      if (!headline) {
+        headline =
+          element.getAttribute("data-overflow-tooltip-text") ||
+          element.getAttribute("title") ||
+          element.textContent?.trim();
+      }
+
+      if (!headline) return;
+
+      // SKIP Restricted
+      if (containsRestrictedPhrase(headline, headlinePhrases)) return;
+
+      // PROVIDER
+      let provider = null;
+      for (const selector of selectors.providerSelectors) {
+        const el = element.querySelector(selector);
+        if (el) {
+          provider = el.textContent?.trim();
+          if (provider) break;
+        }
+      }
+
+      // LINK
+      const link =
+        element.href ||
+        element.querySelector("a")?.href ||
+        element.closest("a")?.href;
+      if (!link) return;
+
+      // TIMESTAMP
+      const timestamp = cardTimestamp(element, selectors.timeSelectors);
+      if (!timestamp) return;
+
+      const publishedAt = parseArticleTimestamp(timestamp, now);
+      if (publishedAt && since != null && publishedAt.getTime() < since) {
+        return;
+      }
+
+      articles.push({
+        headline,
+        provider: provider || "Unknown",
+        timestamp: publishedAt ? publishedAt.toISOString() : null,
+        rawTimestamp: timestamp,
+        link,
+        symbol,
+        relatedSymbols: extractTickers(element, selectors.tickerSelectors),
+      });
+    });
+
+  const uniqueArticles = [];
+  const seenKeys = new Set();
+
+  for (const article of articles) {
+    const key = `${article.headline}-${article.timestamp}-${article.symbol}`;
+    if (!seenKeys.has(key)) {
+      seenKeys.add(key);
+      uniqueArticles.push(article);
+    }
+  }
+
+  return uniqueArticles;
+}
+
+// Scores the paywall signals of an article page: provider allow and deny
+// lists, indicator phrases, paywall markup and a short or cut-off body. Only
+// the article container is inspected, so site chrome such as the header's
+// login button does not count. Returns { paywalled, reason, confidence,
+// score, signals } where reason names the strongest signal behind the
+// verdict and confidence is the score's distance from the threshold, 0..1.
+export function classifyPaywall(document, rules, contentSelectors) {
+  let container = null;
+  for (const selector of rules.containerSelectors) {
+    container = document.querySelector(selector);
+    if (container) break;
+  }
+  container = container || document.body;
+
+  const { weights } = rules;
+  const signals = [];
+
+  const providerText = elementText(
+    container.querySelector('[class*="provider"]')
+  ).toLowerCase();
+  if (providerText) {
+    if (rules.knownFreeProviders.some((p) => providerText.includes(p))) {
+      signals.push({ reason: "free_provider", weight: weights.freeProvider });
+    } else if (
+      rules.knownPaywalledProviders.some((p) => providerText.includes(p))
+    ) {
+      signals.push({
+        reason: "paywalled_provider",
+        weight: weights.paywalledProvider,
+      });
+    }
+  }
+
+  if (
+    containsRestrictedPhrase(elementText(container), rules.indicatorPhrases)
+  ) {
+    signals.push({
+      reason: "indicator_phrase",
+      weight: weights.indicatorPhrase,
+    });
+  }
+
+  if (rules.paywallSelectors.some((sel) => container.querySelector(sel))) {
+    signals.push({ reason: "paywall_dom", weight: weights.paywallDom });
+  }
+
+  let body = null;
+  for (const selector of contentSelectors) {
+    body = container.querySelector(selector);
+    if (body) break;
+  }
+  const bodyText = elementText(body || container).toLowerCase();
+  if (
+    bodyText.length < rules.minBodyLength ||
+    rules.truncationMarkers.some((marker) => bodyText.endsWith(marker))
+  ) {
+    signals.push({ reason: "truncated_body", weight: weights.truncatedBody });
+  }
+
+  const score = signals.reduce((sum, signal) => sum + signal.weight, 0);
+  const paywalled = score >= rules.threshold;
+  const strongest = signals
+    .filter((signal) => (paywalled ? signal.weight > 0 : signal.weight < 0))
+    .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))[0];
+
+  return {
+    paywalled,
+    reason:
+      strongest?.reason || (signals.length ? "weak_signals" : "no_signals"),
+    confidence:
+      Math.round(Math.min(1, Math.abs(score - rules.threshold)) * 100) / 100,
+    score: Math.round(score * 100) / 100,
+    signals: signals.map((signal) => signal.reason),
+  };
+}
+
+// The element holding the article body: the first content selector with
+// enough text, else, readability style, the element whose paragraphs carry
+// the most non-link text (each paragraph counts fully for its parent and by
+// half for its grandparent), else the first common article container.
+export function findArticleRoot(document, contentSelectors) {
+  for (const selector of contentSelectors) {
+    const el = document.querySelector(selector);
+    if (elementText(el).length > 50) return { root: el, source: "selector" };
+  }
+
+  const linkTextLength = (el) =>
+    Array.from(el.querySelectorAll("a")).reduce(
+      (sum, a) => sum + elementText(a).length,
+      0
+    );
+
+  const scores = new Map();
+  for (const p of document.querySelectorAll("p")) {
+    const score = elementText(p).length - linkTextLength(p);
+    if (score < 25) continue;
+    const parent = p.parentElement;
+    const grandparent = parent?.parentElement;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  }
+
+  let best = null;
+  for (const [el, score] of scores) {
+    if (!best || score > best.score) best = { el, score };
+  }
+  if (best && best.score > 100) return { root: best.el, source: "fallback" };
+
+  // Fallback: look for common article containers
+  const containers = [
+    "article",
+    "main",
+    '[role="main"]',
+    ".article-content",
+    ".content",
+    ".post-content",
+  ];
+
+  for (const containerSelector of containers) {
+    const el = document.querySelector(containerSelector);
+    if (elementText(el).length > 100) return { root: el, source: "fallback" };
+  }
+
+  return { root: null, source: "none" };
+}
+
+// Copy of `root` without page chrome: scripts, forms, navigation, share
+// bars, related-headline rails, disclaimers and the article's own header,
+// whose headline, time and provider are stored separately.
+export function stripBoilerplate(root) {
+  const clone = root.cloneNode(true);
+  clone
+    .querySelectorAll(
+      'script, style, noscript, template, iframe, form, button, input, select, svg, nav, aside, header, footer, h1, time, [hidden], [aria-hidden="true"]'
+    )
+    .forEach((el) => el.remove());
+
+  const chrome =
+    /\b(share|social|related|disclaimer|comment|promo|advert|newsletter|breadcrumb|toolbar|widget|header|footer|provider|symbols|tags)/i;
+
+  for (const el of Array.from(clone.querySelectorAll("*"))) {
+    if (chrome.test(`${el.getAttribute("class") || ""} ${el.id}`)) {
+      el.remove();
+      continue;
+    }
+
+    // Boxes that are mostly links are lists of other stories
+    const links = Array.from(el.querySelectorAll("a"));
+    if (links.length >= 2 && /^(UL|OL|DIV|SECTION)$/.test(el.tagName)) {
+      const linkText = links.reduce(
+        (sum, a) => sum + a.textContent.trim().length,
+        0
+      );
+      if (linkText > el.textContent.trim().length * 0.6) el.remove();
+    }
+  }
+
+  return clone;
+}
+
+// Serialises cleaned article markup as sanitised HTML. Only structural tags
+// survive, links keep an absolute http(s) href and no other attribute is
+// kept. Other elements are unwrapped, and loose text between blocks is put
+// in paragraphs.
+export function articleHtml(root) {
+  const blockTags = [
+    "p",
+    "ul",
+    "ol",
+    "li",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "blockquote",
+    "h2",
+    "h3",
+    "h4",
+    "pre",
+  ];
+  const inlineTags = ["a", "strong", "b", "em", "i", "code"];
+
+  const escape = (text) =>
+    text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  const isBlock = (html) =>
+    /^<(p|ul|ol|table|blockquote|h[2-4]|pre)>/.test(html);
+
+  const group = (parts) => {
+    const out = [];
+    let run = "";
+    const flush = () => {
+      if (run.trim()) out.push(`<p>${run.trim()}</p>`);
+      run = "";
+    };
+    for (const part of parts) {
+      if (isBlock(part)) {
+        flush();
+        out.push(part);
+      } else {
+        run += part;
+      }
+    }
+    flush();
+    return out.join("");
+  };
+
+  const render = (node) => {
+    if (node.nodeType === 3) return escape(node.nodeValue.replace(/\s+/g, " "));
+    if (node.nodeType !== 1) return "";
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === "br") return "<br>";
+    if (tag === "pre") return `<pre>${escape(node.textContent)}</pre>`;
+
+    const parts = Array.from(node.childNodes).map(render);
+    if (inlineTags.includes(tag)) {
+      const inner = parts.join("");
+      if (!inner.trim()) return inner;
+      if (tag !== "a") return `<${tag}>${inner}</${tag}>`;
+      return /^https?:/i.test(node.href || "")
+        ? `<a href="${escape(node.href)}">${inner}</a>`
+        : inner;
+    }
+    if (blockTags.includes(tag)) {
+      const inner = parts.join("").trim();
+      // Empty cells still hold their place in the table
+      return inner || tag === "td" || tag === "th"
+        ? `<${tag}>${inner}</${tag}>`
+        : "";
+    }
+    return parts.some(isBlock) ? group(parts) : parts.join("");
+  };
+
+  // Whitespace between list and table tags is layout, not content
+  return group([render(root)]).replace(
+    /\s+(<\/?(?:ul|ol|li|table|thead|tbody|tr|th|td)>)/g,
+    "$1"
+  );
+}
+
+// Renders sanitised article HTML (see articleHtml) as Markdown or, when
+// `plain` is set, as plain text with blank lines between paragraphs.
+export function articleMarkdown(root, plain) {
+  const escape = (text) =>
+    plain ? text : text.replace(/([\\`*_[\]])/g, "\\$1");
+  const hasBlocks = (el) =>
+    !!el.querySelector("p, ul, ol, table, blockquote, pre, h2, h3, h4");
+
+  const inline = (node) =>
+    Array.from(node.childNodes)
+      .map((child) => {
+        if (child.nodeType === 3) return escape(child.nodeValue);
+        if (child.nodeType !== 1) return "";
+
+        const tag = child.tagName.toLowerCase();
+        if (tag === "br") return plain ? "\n" : "  \n";
+        if (/^(p|ul|ol|table|blockquote|pre|h[2-4])$/.test(tag)) {
+          return ` ${blocks(child).join(" ")} `;
+        }
+
+        const text = inline(child);
+        if (plain || !text.trim()) return text;
+        if (tag === "a") return `[${text}](${child.getAttribute("href")})`;
+        if (tag === "strong" || tag === "b") return `**${text}**`;
+        if (tag === "em" || tag === "i") return `_${text}_`;
+        if (tag === "code") return `\`${child.textContent}\``;
+        return text;
+      })
+      .join("");
+
+  const list = (el, indent) =>
+    Array.from(el.children)
+      .filter((li) => li.tagName === "LI")
+      .map((li, i) => {
+        const marker = el.tagName === "OL" ? `${i + 1}. ` : "- ";
+        const item = li.cloneNode(true);
+        item.querySelectorAll("ul, ol").forEach((nested) => nested.remove());
+        const nested = Array.from(li.children)
+          .filter((child) => /^(UL|OL)$/.test(child.tagName))
+          .map((child) => list(child, indent + "  "));
+        return [
+          `${indent}${marker}${inline(item).replace(/\s+/g, " ").trim()}`,
+          ...nested,
+        ].join("\n");
+      })
+      .join("\n");
+
+  const table = (el) => {
+    const rows = Array.from(el.querySelectorAll("tr")).map((tr) =>
+      Array.from(tr.children).map((cell) =>
+        inline(cell)
+          .replace(/\s+/g, " ")
+          .trim()
+          .replace(/\|/g, plain ? "|" : "\\|")
+      )
+    );
+    if (rows.length === 0) return "";
+    if (plain) return rows.map((cells) => cells.join(" | ")).join("\n");
+
+    const width = Math.max(...rows.map((cells) => cells.length));
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, i) => cells[i] ?? "").join(
+        " | "
+      )} |`;
+    return [
+      line(rows[0]),
+      line(Array(width).fill("---")),
+      ...rows.slice(1).map(line),
+    ].join("\n");
+  };
+
+  function blocks(node) {
+    if (!hasBlocks(node)) return [inline(node).trim()].filter(Boolean);
+
+    const out = [];
+    for (const child of node.children) {
+      const tag = child.tagName.toLowerCase();
+      if (tag === "p") {
+        out.push(inline(child).trim());
+      } else if (/^h[2-4]$/.test(tag)) {
+        const text = inline(child).trim();
+        out.push(plain ? text : `${"#".repeat(Number(tag[1]))} ${text}`);
+      } else if (tag === "ul" || tag === "ol") {
+        out.push(list(child, ""));
+      } else if (tag === "table") {
+        out.push(table(child));
+      } else if (tag === "blockquote") {
+        const quote = blocks(child).join("\n\n");
+        out.push(plain ? quote : quote.replace(/^/gm, "> "));
+      } else if (tag === "pre") {
+        const code = child.textContent.replace(/\n$/, "");
+        out.push(plain ? code : "```\n" + code + "\n```");
+      } else {
+        out.push(...blocks(child));
+      }
+    }
+    return out.filter(Boolean);
+  }
+
+  return blocks(root).join("\n\n");
+}
+
+// Canonical URL, author and lead image URL of an article page, read from
+// link and meta tags and JSON-LD. The lead image falls back to the first
+// picture in `root`.
+export function extractArticleMetadata(document, root) {
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = document
+        .querySelector(`meta[property="${name}"], meta[name="${name}"]`)
+        ?.getAttribute("content")
+        ?.trim();
+      if (value) return value;
+    }
+    return null;
+  };
+  const absolute = (url) => {
+    try {
+      return url ? new URL(url, document.baseURI).href : null;
+    } catch {
+      return null;
+    }
+  };
+
+  let ld = {};
+  for (const script of document.querySelectorAll(
+    'script[type="application/ld+json"]'
+  )) {
+    try {
+      const item = []
+        .concat(JSON.parse(script.textContent))
+        .find((entry) => /Article/.test(String(entry?.["@type"])));
+      if (item) {
+        ld = item;
+        break;
+      }
+    } catch {
+      // not JSON; ignore
+    }
+  }
+  const ldAuthor = [].concat(ld.author || [])[0];
+  const ldImage = [].concat(ld.image || [])[0];
+
+  return {
+    canonicalUrl: absolute(
+      document.querySelector('link[rel="canonical"]')?.getAttribute("href") ||
+        meta("og:url")
+    ),
+    author:
+      meta("author") ||
+      (typeof ldAuthor === "string" ? ldAuthor : ldAuthor?.name) ||
+      elementText(
+        document.querySelector('[rel="author"], [itemprop="author"]')
+      ) ||
+      null,
+    imageUrl: absolute(
+      meta("og:image", "twitter:image") ||
+        (typeof ldImage === "string" ? ldImage : ldImage?.url) ||
+        root?.querySelector("img[src]")?.getAttribute("src")
+    ),
+  };
+}
+
+// Returns { content, html, markdown, source, canonicalUrl, author, imageUrl }
+// where content is the plain text and source is "selector" or "fallback"
+// when a body was found. Without one, content is null and source is
+// "restricted" when the body is a paywall notice (matching one of
+// `indicatorPhrases`) or "none" when nothing usable was on the page.
+export function extractArticleBody(
+  document,
+  contentSelectors,
+  indicatorPhrases
+) {
+  const { root, source } = findArticleRoot(document, contentSelectors);
+  if (!root) return { content: null, source: "none" };
+
+  const html = articleHtml(stripBoilerplate(root));
+  const clean = document.createElement("div");
+  clean.innerHTML = html;
+  const content = articleMarkdown(clean, true);
+
+  if (!content) return { content: null, source: "none" };
+  if (containsRestrictedPhrase(content, indicatorPhrases)) {
+    return { content: null, source: "restricted" };
+  }
+
+  return {
+    content,
+    html,
+    markdown: articleMarkdown(clean, false),
+    source,
+    ...extractArticleMetadata(document, root),
+  };
+}
+
+// Scrolls the news list to load more cards until the page ends or, when
+// `since` (epoch ms) is given, until a card published before it has loaded:
+// the list is newest first, so everything newer is loaded by then. Infinite
+// lists never end, so scrolling also stops after `maxSteps` steps, `maxMs`
+// milliseconds or once `maxCards` cards are loaded. Resolves to
+// { steps, cards, stoppedBy }.
+export function scrollNewsList(
+  document,
+  selectors,
+  since,
+  now,
+  { maxSteps = Infinity, maxMs = Infinity, maxCards = Infinity } = {}
+) {
+  const win = document.defaultView;
+  const started = Date.now();
+  const loadedCards = () =>
+    Array.from(document.querySelectorAll(selectors.articleSelectors.join(",")));
+  const reachedSince = (cards) =>
+    since != null &&
+    cards.some((card) => {
+      const publishedAt = parseArticleTimestamp(
+        cardTimestamp(card, selectors.timeSelectors),
+        now
+      );
+      return publishedAt && publishedAt.getTime() < since;
+    });
+
+  return new Promise((resolve) => {
+    let steps = 0;
+    const distance = 500;
+    const timer = win.setInterval(() => {
+      const scrollHeight = document.body.scrollHeight;
+      win.scrollBy(0, distance);
+      steps++;
+
+      const cards = loadedCards();
+      const stoppedBy =
+        steps * distance >= scrollHeight
+          ? "end"
+          : reachedSince(cards)
+          ? "since"
+          : cards.length >= maxCards
+          ? "cards"
+          : steps >= maxSteps
+          ? "steps"
+          : Date.now() - started >= maxMs
+          ? "time"
+          : null;
+      if (stoppedBy) {
+        win.clearInterval(timer);
+        resolve({ steps, cards: cards.length, stoppedBy });
+      }
+    }, 200);
+  });
+}
+
+// For every selector of the given lists, how many elements it matches in the
+// document. Feeds the selector health report.
+export function countSelectorMatches(document, lists) {
+  const counts = {};
+  for (const [list, selectors] of Object.entries(lists)) {
+    counts[list] = {};
+    for (const selector of selectors) {
+      try {
+        counts[list][selector] = document.querySelectorAll(selector).length;
+      } catch {
+        counts[list][selector] = 0; // invalid selector
+      }
+    }
+  }
+  return counts;
+}
+
+const PAGE_FUNCTIONS = [
+  parseArticleTimestamp,
+  parseTicker,
+  extractTickers,
+  extractArticleTickers,
+  elementText,
+  cardTimestamp,
+  containsRestrictedPhrase,
+  extractNewsCards,
+  classifyPaywall,
+  findArticleRoot,
+  stripBoilerplate,
+  articleHtml,
+  articleMarkdown,
+  extractArticleMetadata,
+  extractArticleBody,
+  scrollNewsList,
+  countSelectorMatches,
+];
+
+const PAGE_SOURCE = PAGE_FUNCTIONS.map((fn) => fn.toString()).join("\n");
+
+// Runs one of the functions above against the live page's document. The
+// script is sent as a string so the helpers travel with it.
+export function runInPage(page, fn, ...args) {
+  return page.evaluate(
+    `(() => {\n${PAGE_SOURCE}\nreturn ${fn.name}(document, ...${JSON.stringify(
+      args
+    )});\n})()`
+  );
+}
@@ -0,0 +1,106 @@
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// <name attr="...">text</name>, or a self-closing element without text
+function element(name, text, attributes = {}) {
+  const attrs = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+  return text == null
+    ? `<${name}${attrs}/>`
+    : `<${name}${attrs}>${escapeXml(text)}</${name}>`;
+}
+
+// Plain-text summary for feed readers
+function summary(article, length = 400) {
+  const text = String(article.content || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+const published = (article) => article.timestamp || article.storedAt;
+
+const indent = (lines, depth) =>
+  lines.map((line) => " ".repeat(depth) + line).join("\n");
+
+// RSS 2.0 channel of a symbol's articles, newest first
+export function renderRss(symbol, articles, { selfUrl }) {
+  const items = articles.map((article) =>
+    indent(
+      [
+        "<item>",
+        `  ${element("title", article.headline)}`,
+        `  ${element("link", article.url)}`,
+        `  ${element("guid", article.url, { isPermaLink: "true" })}`,
+        `  ${element("pubDate", new Date(published(article)).toUTCString())}`,
+        ...(article.provider
+          ? [`  ${element("source", article.provider, { url: selfUrl })}`]
+          : []),
+        ...article.tags.map((tag) => `  ${element("category", tag)}`),
+        `  ${element("description", summary(article))}`,
+        "</item>",
+      ],
+      4
+    )
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    "  <channel>",
+    `    ${element("title", `${symbol} news`)}`,
+    `    ${element("link", selfUrl)}`,
+    `    ${element("description", `TradingView news about ${symbol}`)}`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+// Atom 1.0 feed of a symbol's articles, newest first
+export function renderAtom(symbol, articles, { selfUrl }) {
+  const entries = articles.map((article) =>
+    indent(
+      [
+        "<entry>",
+        `  ${element("title", article.headline)}`,
+        `  ${element("link", null, { href: article.url })}`,
+        `  ${element("id", article.url)}`,
+        `  ${element("updated", published(article))}`,
+        `  <author>${element(
+          "name",
+          article.author || article.provider || "TradingView"
+        )}</author>`,
+        ...article.tags.map(
+          (tag) => `  ${element("category", null, { term: tag })}`
+        ),
+        `  ${element("summary", summary(article))}`,
+        "</entry>",
+      ],
+      2
+    )
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  ${element("title", `${symbol} news`)}`,
+    `  ${element("id", selfUrl)}`,
+    `  ${element("link", null, { rel: "self", href: selfUrl })}`,
+    `  ${element(
+      "updated",
+      articles[0] ? published(articles[0]) : new Date().toISOString()
+    )}`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
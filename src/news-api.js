@@ -0,0 +1,214 @@
+import axios from "axios";
+import { JSDOM } from "jsdom";
+import { withRetry } from "./retry.js";
+import { parseTicker } from "./tickers.js";
+import { articleMarkdown } from "./extract.js";
+
+// TradingView's news pages are rendered from these JSON endpoints. Reading
+// them directly avoids depending on the generated CSS class names of the
+// page markup and needs no browser at all.
+const HEADLINES_PATH = "/v2/view/headlines/symbol";
+const STORY_PATH = "/v2/story";
+
+// "https://in.tradingview.com/symbols/NSE-INFY/news/" -> "NSE:INFY"
+export function symbolFromNewsUrl(link) {
+  const match = String(link || "").match(/\/symbols\/([^/?#]+)/i);
+  if (!match) return null;
+
+  const slug = decodeURIComponent(match[1]).toUpperCase();
+  const separator = slug.indexOf("-");
+  return separator === -1
+    ? slug
+    : `${slug.slice(0, separator)}:${slug.slice(separator + 1)}`;
+}
+
+// Story bodies come as a small document tree ({ type, children, params })
+// whose leaves are strings or inline nodes such as symbol links.
+export function astToText(node) {
+  if (node == null) return "";
+  if (typeof node === "string") return node;
+  if (Array.isArray(node)) return node.map(astToText).join("");
+
+  const children = astToText(node.children);
+  switch (node.type) {
+    case "symbol":
+      return node.params?.text || node.params?.symbol || children;
+    case "url":
+      return node.params?.linkText || children;
+    case "p":
+    case "li":
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+      return `${children.trim()}\n\n`;
+    case "br":
+      return "\n";
+    default:
+      return children;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const AST_HTML_TAGS = [
+  "p",
+  "ul",
+  "ol",
+  "li",
+  "table",
+  "tr",
+  "th",
+  "td",
+  "blockquote",
+  "h2",
+  "h3",
+  "h4",
+  "strong",
+  "b",
+  "em",
+  "i",
+];
+
+// The same story tree as sanitised HTML, in the subset articleHtml produces
+// for browser-read articles. Headings are demoted below the page headline.
+export function astToHtml(node) {
+  if (node == null) return "";
+  if (typeof node === "string") return escapeHtml(node);
+  if (Array.isArray(node)) return node.map(astToHtml).join("");
+
+  const children = astToHtml(node.children);
+  switch (node.type) {
+    case "symbol":
+      return node.params?.text
+        ? escapeHtml(node.params.text)
+        : children || escapeHtml(node.params?.symbol || "");
+    case "url": {
+      const text = node.params?.linkText
+        ? escapeHtml(node.params.linkText)
+        : children;
+      const href = node.params?.url;
+      return /^https?:/i.test(href || "")
+        ? `<a href="${escapeHtml(href)}">${text}</a>`
+        : text;
+    }
+    case "h1":
+      return `<h2>${children.trim()}</h2>`;
+    case "br":
+      return "<br>";
+    default:
+      return AST_HTML_TAGS.includes(node.type) && children.trim()
+        ? `<${node.type}>${children.trim()}</${node.type}>`
+        : children;
+  }
+}
+
+// `published` is in Unix seconds; null when missing or out of range
+function publishedTimestamp(item) {
+  const date = new Date(Number(item.published) * 1000);
+  return item.published == null || Number.isNaN(date.getTime())
+    ? null
+    : date.toISOString();
+}
+
+export function createNewsApiClient({
+  baseUrl,
+  lang,
+  userAgent,
+  throttle,
+  retry,
+  timeoutMs = 15000,
+}) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout: timeoutMs,
+    headers: {
+      "User-Agent": userAgent,
+      Origin: "https://www.tradingview.com",
+      Referer: "https://www.tradingview.com/",
+      Accept: "application/json",
+    },
+  });
+
+  async function get(path, params, label) {
+    const url = new URL(path, baseUrl).toString();
+    const response = await throttle.run(url, () =>
+      withRetry(() => http.get(path, { params }), { ...retry, label })
+    );
+    return response.data;
+  }
+
+  return {
+    // Returns headline cards in the same shape as trySelectors, plus the
+    // story id used to fetch the body.
+    async fetchHeadlines(tvSymbol) {
+      const data = await get(
+        HEADLINES_PATH,
+        { client: "web", lang, symbol: tvSymbol, streaming: false },
+        `Headlines for ${tvSymbol}`
+      );
+      const items = Array.isArray(data) ? data : data?.items || [];
+
+      return items
+        .filter((item) => item.title && (item.storyPath || item.link))
+        .filter((item) => {
+          if (publishedTimestamp(item)) return true;
+          // One malformed item must not cost the symbol its other headlines
+          console.log(
+            `Skipping headline without a valid publish time for ${tvSymbol}: "${item.title}"`
+          );
+          return false;
+        })
+        .map((item) => ({
+          id: item.id,
+          headline: item.title,
+          provider:
+            typeof item.provider === "string"
+              ? item.provider
+              : item.provider?.name || item.source || "Unknown",
+          timestamp: publishedTimestamp(item),
+          link: item.storyPath
+            ? new URL(item.storyPath, "https://www.tradingview.com").toString()
+            : item.link,
+          relatedSymbols: (item.relatedSymbols || [])
+            .map((related) => parseTicker(related.symbol))
+            .filter(Boolean),
+        }));
+    },
+
+    // Returns the story body as { content, html, markdown }, content being
+    // plain text, or null when the API only exposes the headline (exclusive
+    // or subscriber-only stories).
+    async fetchStory(id) {
+      const data = await get(STORY_PATH, { id, lang }, `Story ${id}`);
+      const body = (
+        data?.astDescription
+          ? astToText(data.astDescription)
+          : data?.shortDescription || ""
+      )
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+      if (body.length <= 50) return null;
+
+      const html = data.astDescription
+        ? astToHtml(data.astDescription)
+        : body
+            .split(/\n{2,}/)
+            .map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`)
+            .join("");
+      const { document } = new JSDOM(`<div>${html}</div>`).window;
+
+      return {
+        content: body,
+        html,
+        markdown: articleMarkdown(document.body.firstChild, false),
+      };
+    },
+  };
+}
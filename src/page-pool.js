@@ -0,0 +1,86 @@
+// Rejects when `task` has not settled within `ms`, after calling `onTimeout`.
+// The task keeps running, but its eventual outcome is ignored.
+function withWatchdog(task, ms, onTimeout) {
+  let timer;
+  const watchdog = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      const error = new Error(`Page task did not finish within ${ms}ms`);
+      error.code = "PAGE_HUNG";
+      reject(error);
+    }, ms);
+  });
+  task.catch(() => {});
+  return Promise.race([task, watchdog]).finally(() => clearTimeout(timer));
+}
+
+// A fixed number of browser tabs shared by every stock and article task.
+// Pages are created on first demand, configured once through `setupPage`
+// (viewport, user agent, request interception) and then reused. A task that
+// runs past `taskTimeoutMs` has its page closed and replaced, and `onHang`
+// is told so the browser itself can be checked.
+export function createPagePool(
+  browser,
+  { size, setupPage, taskTimeoutMs = 0, onHang = () => {} }
+) {
+  const idle = [];
+  const waiters = [];
+  const abandoned = new Set();
+  let created = 0;
+
+  async function acquire() {
+    for (;;) {
+      const page = idle.pop();
+      if (page) {
+        if (!page.isClosed()) return page;
+        created--;
+        continue;
+      }
+
+      if (created < size) {
+        created++;
+        try {
+          const fresh = await browser.newPage();
+          await setupPage(fresh);
+          return fresh;
+        } catch (error) {
+          created--;
+          throw error;
+        }
+      }
+
+      await new Promise((resolve) => waiters.push(resolve));
+    }
+  }
+
+  function release(page) {
+    if (abandoned.delete(page) || page.isClosed()) {
+      created--;
+    } else {
+      idle.push(page);
+    }
+    waiters.shift()?.();
+  }
+
+  return {
+    async use(fn) {
+      const page = await acquire();
+      try {
+        if (!taskTimeoutMs) return await fn(page);
+        return await withWatchdog(fn(page), taskTimeoutMs, () => {
+          abandoned.add(page);
+          page.close().catch(() => {});
+          onHang(page);
+        });
+      } finally {
+        release(page);
+      }
+    },
+
+    async close() {
+      await Promise.all(
+        idle.splice(0).map((page) => page.close().catch(() => {}))
+      );
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import { fileURLToPath } from "url";
+import { readConfigFile, readOverrideFile } from "./config-file.js";
+import { ConfigError } from "./config-schema.js";
+import { loadOverridable } from "./config.js";
+
+export const DEFAULT_PAYWALL_RULES_PATH = fileURLToPath(
+  new URL("../config/paywall.json", import.meta.url)
+);
+
+const RULE_LISTS = [
+  "knownFreeProviders",
+  "knownPaywalledProviders",
+  "indicatorPhrases",
+  "headlinePhrases",
+  "containerSelectors",
+  "paywallSelectors",
+  "truncationMarkers",
+];
+
+const WEIGHTS = [
+  "freeProvider",
+  "paywalledProvider",
+  "indicatorPhrase",
+  "paywallDom",
+  "truncatedBody",
+];
+
+// Loads the shipped paywall rules and lays the keys of `overridePath` (JSON
+// or YAML) over them. Weights are merged one by one so an override can tune a
+// single signal. Phrases and provider names are matched lower-cased.
+export function loadPaywallRules(overridePath) {
+  const rules = readConfigFile(DEFAULT_PAYWALL_RULES_PATH);
+
+  if (overridePath) {
+    const override = readOverrideFile(overridePath);
+    for (const [name, value] of Object.entries(override)) {
+      if (name === "weights") {
+        rules.weights = { ...rules.weights, ...value };
+      } else if (
+        RULE_LISTS.includes(name) ||
+        name === "minBodyLength" ||
+        name === "threshold"
+      ) {
+        rules[name] = value;
+      } else {
+        throw new ConfigError(
+          `Unknown paywall rule "${name}" in ${overridePath}`
+        );
+      }
+    }
+  }
+
+  for (const name of RULE_LISTS) {
+    const list = rules[name];
+    if (!Array.isArray(list) || !list.every((v) => typeof v === "string")) {
+      throw new ConfigError(`Paywall rule "${name}" must be a string array`);
+    }
+    rules[name] = list.map((v) =>
+      name.endsWith("Selectors") ? v : v.toLowerCase()
+    );
+  }
+  for (const name of WEIGHTS) {
+    if (!Number.isFinite(rules.weights?.[name])) {
+      throw new ConfigError(`Paywall weight "${name}" must be a number`);
+    }
+  }
+  if (!Number.isFinite(rules.threshold) || !(rules.minBodyLength >= 0)) {
+    throw new ConfigError(
+      "Paywall rules need a numeric threshold and a non-negative minBodyLength"
+    );
+  }
+
+  if (overridePath) {
+    console.log(`Loaded paywall rule overrides from ${overridePath}`);
+  }
+  return rules;
+}
+
+export const PAYWALL_RULES = loadOverridable(
+  loadPaywallRules,
+  "paywallRulesFile"
+);
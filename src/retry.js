@@ -0,0 +1,71 @@
+const RETRYABLE_ERROR_CODES = [
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ERR_NETWORK",
+];
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Timeouts, dropped connections, 5xx and 429 are worth another try. Any other
+// 4xx means the request itself is wrong and will fail the same way again.
+export function isRetryableHttpError(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+export function retryAfterMs(error) {
+  const header = error.response?.headers?.["retry-after"];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function backoffDelayMs(attempt, { baseDelayMs, maxDelayMs }) {
+  // Full jitter: a random wait up to the exponential cap, so parallel matrix
+  // jobs hitting the same endpoint do not retry in lockstep.
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+export async function withRetry(
+  fn,
+  {
+    retries = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    shouldRetry = isRetryableHttpError,
+    label = "request",
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      const serverDelay = retryAfterMs(error);
+      const wait =
+        serverDelay !== null
+          ? Math.min(serverDelay, maxDelayMs) + Math.round(Math.random() * 250)
+          : backoffDelayMs(attempt, { baseDelayMs, maxDelayMs });
+
+      console.log(
+        `${label} failed (${
+          error.response?.status || error.code || error.message
+        }), retry ${attempt + 1}/${retries} in ${wait}ms`
+      );
+      await delay(wait);
+    }
+  }
+}
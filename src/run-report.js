@@ -0,0 +1,305 @@
+import fs from "fs";
+import path from "path";
+
+export const ARTICLE_OUTCOMES = [
+  "stored",
+  "seen",
+  "duplicate",
+  "paywalled",
+  "extract_failed",
+  "store_failed",
+  "not_recent",
+  "no_link",
+  "dry_run",
+  "deferred",
+];
+
+const OUTCOME_LABELS = {
+  stored: "Stored",
+  seen: "Already stored",
+  duplicate: "Near-duplicate",
+  paywalled: "Paywalled",
+  extract_failed: "Extract failed",
+  store_failed: "Store failed",
+  not_recent: "Not recent",
+  no_link: "No link",
+  dry_run: "Dry run",
+  deferred: "Deferred (budget)",
+};
+
+function emptyOutcomes() {
+  return Object.fromEntries(ARTICLE_OUTCOMES.map((outcome) => [outcome, 0]));
+}
+
+function addCounts(target, counts) {
+  for (const [key, n] of Object.entries(counts)) {
+    target[key] = (target[key] || 0) + n;
+  }
+  return target;
+}
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function escapeCell(value) {
+  return String(value ?? "")
+    .replace(/\|/g, "\\|")
+    .replace(/\n/g, " ");
+}
+
+// Collects what happened to every stock of a run and renders it as JSON, as
+// Prometheus text-format metrics and as a Markdown summary small enough for a
+// GitHub Actions job summary.
+export function createRunReport({ runId, shard, fetchMode }) {
+  const startedAt = new Date();
+  const stocks = [];
+  let extras = {};
+
+  function totals() {
+    const sum = {
+      stocks: stocks.length,
+      pagesLoaded: stocks.filter((s) => s.pageLoad === "ok").length,
+      pagesFailed: stocks.filter((s) => s.pageLoad === "failed").length,
+      cardsFound: 0,
+      outcomes: emptyOutcomes(),
+      skipReasons: {},
+    };
+    for (const stock of stocks) {
+      sum.cardsFound += stock.cardsFound;
+      for (const outcome of ARTICLE_OUTCOMES) {
+        sum.outcomes[outcome] += stock.outcomes[outcome];
+      }
+      addCounts(sum.skipReasons, stock.skipReasons);
+    }
+    return sum;
+  }
+
+  return {
+    runId,
+
+    startStock(stockEntry) {
+      const started = Date.now();
+      const stock = {
+        symbol: stockEntry.Symbol,
+        name: stockEntry["Stock name"],
+        link: stockEntry.link,
+        pageLoad: null,
+        source: null,
+        cardsFound: 0,
+        outcomes: emptyOutcomes(),
+        // Why articles were skipped, e.g. { paywall_dom: 2 }
+        skipReasons: {},
+        startedAt: new Date(started).toISOString(),
+        durationMs: null,
+      };
+      stocks.push(stock);
+
+      return {
+        pageLoaded(source, cardsFound) {
+          stock.pageLoad = "ok";
+          stock.source = source;
+          stock.cardsFound = cardsFound;
+        },
+        pageFailed(error) {
+          stock.pageLoad = "failed";
+          stock.error = error || null;
+        },
+        count(outcome, reason) {
+          stock.outcomes[outcome] = (stock.outcomes[outcome] || 0) + 1;
+          if (reason) addCounts(stock.skipReasons, { [reason]: 1 });
+        },
+        finish() {
+          stock.durationMs = Date.now() - started;
+          return stock;
+        },
+        // Drops the stock from the report, when it is about to be retried
+        discard() {
+          stocks.splice(stocks.indexOf(stock), 1);
+        },
+      };
+    },
+
+    totals,
+
+    // Extra sections such as sink and selector summaries
+    attach(section, value) {
+      extras = { ...extras, [section]: value };
+    },
+
+    toJSON() {
+      const finishedAt = new Date();
+      return {
+        runId,
+        shard,
+        fetchMode,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        totals: totals(),
+        ...extras,
+        stocks,
+      };
+    },
+
+    toPrometheus() {
+      const report = this.toJSON();
+      const shardLabel = `shard="${shard.index}"`;
+      const lines = [];
+      const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+          lines.push(`${name}{${[shardLabel, ...labels].join(",")}} ${value}`);
+        }
+      };
+
+      metric(
+        "tradingview_scraper_run_duration_seconds",
+        "gauge",
+        "Wall-clock duration of the run.",
+        [[[], report.durationMs / 1000]]
+      );
+      metric(
+        "tradingview_scraper_stocks",
+        "gauge",
+        "Stocks processed, by news page load result.",
+        [
+          [['result="ok"'], report.totals.pagesLoaded],
+          [['result="failed"'], report.totals.pagesFailed],
+        ]
+      );
+      metric(
+        "tradingview_scraper_cards_found",
+        "gauge",
+        "Recent news cards found across all stocks.",
+        [[[], report.totals.cardsFound]]
+      );
+      metric(
+        "tradingview_scraper_articles",
+        "gauge",
+        "Articles handled, by outcome.",
+        ARTICLE_OUTCOMES.map((outcome) => [
+          [`outcome="${outcome}"`],
+          report.totals.outcomes[outcome],
+        ])
+      );
+      metric(
+        "tradingview_scraper_skip_reasons",
+        "gauge",
+        "Skipped articles, by reason code.",
+        Object.entries(report.totals.skipReasons).map(([reason, n]) => [
+          [`reason="${escapeLabel(reason)}"`],
+          n,
+        ])
+      );
+      if (report.sinks) {
+        metric(
+          "tradingview_scraper_sink_writes",
+          "gauge",
+          "Records written to each sink, by result.",
+          report.sinks.flatMap(({ name, succeeded, failed }) => [
+            [[`sink="${escapeLabel(name)}"`, 'result="ok"'], succeeded],
+            [[`sink="${escapeLabel(name)}"`, 'result="failed"'], failed],
+          ])
+        );
+      }
+      metric(
+        "tradingview_scraper_stock_duration_seconds",
+        "gauge",
+        "Time spent on each stock.",
+        stocks.map((stock) => [
+          [`symbol="${escapeLabel(stock.symbol)}"`],
+          (stock.durationMs || 0) / 1000,
+        ])
+      );
+
+      return lines.join("\n") + "\n";
+    },
+
+    toMarkdown({ maxRows = 50 } = {}) {
+      const report = this.toJSON();
+      const { totals: sum } = report;
+      const lines = [
+        `## TradingView news scrape – shard ${shard.index + 1}/${shard.count}`,
+        "",
+        `Run \`${runId}\` · ${fetchMode} mode · ${(
+          report.durationMs / 60000
+        ).toFixed(1)} min`,
+        "",
+        "| Stocks | Pages loaded | Pages failed | Cards found | " +
+          ARTICLE_OUTCOMES.map((o) => OUTCOME_LABELS[o]).join(" | ") +
+          " |",
+        "|" + " ---: |".repeat(4 + ARTICLE_OUTCOMES.length),
+        `| ${sum.stocks} | ${sum.pagesLoaded} | ${sum.pagesFailed} | ${
+          sum.cardsFound
+        } | ${ARTICLE_OUTCOMES.map((o) => sum.outcomes[o]).join(" | ")} |`,
+      ];
+
+      const reasons = Object.entries(sum.skipReasons);
+      if (reasons.length > 0) {
+        lines.push(
+          "",
+          `Skip reasons: ${reasons
+            .map(([reason, n]) => `\`${reason}\` ${n}`)
+            .join(" · ")}`
+        );
+      }
+
+      if (report.sinks?.length) {
+        lines.push("", "| Sink | Stored | Failed |", "| --- | ---: | ---: |");
+        for (const { name, succeeded, failed } of report.sinks) {
+          lines.push(`| ${name} | ${succeeded} | ${failed} |`);
+        }
+      }
+
+      // Only stocks that need a look: failed pages, no cards or failures
+      const problems = stocks.filter(
+        (stock) =>
+          stock.pageLoad !== "ok" ||
+          stock.cardsFound === 0 ||
+          stock.outcomes.extract_failed > 0 ||
+          stock.outcomes.store_failed > 0
+      );
+      if (problems.length > 0) {
+        lines.push(
+          "",
+          `### Stocks needing attention (${problems.length})`,
+          "",
+          "| Symbol | Page | Cards | Extract failed | Store failed | Error |",
+          "| --- | --- | ---: | ---: | ---: | --- |"
+        );
+        for (const stock of problems.slice(0, maxRows)) {
+          lines.push(
+            `| ${escapeCell(stock.symbol)} | ${stock.pageLoad ?? "-"} | ${
+              stock.cardsFound
+            } | ${stock.outcomes.extract_failed} | ${
+              stock.outcomes.store_failed
+            } | ${escapeCell(stock.error)} |`
+          );
+        }
+        if (problems.length > maxRows) {
+          lines.push("", `…and ${problems.length - maxRows} more.`);
+        }
+      }
+
+      return lines.join("\n") + "\n";
+    },
+
+    save({ jsonPath, markdownPath, metricsPath, stepSummaryPath }) {
+      const write = (filePath, text) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, text);
+        console.log(`Run report written to ${filePath}`);
+      };
+
+      write(jsonPath, JSON.stringify(this.toJSON(), null, 2));
+      const markdown = this.toMarkdown();
+      if (markdownPath) write(markdownPath, markdown);
+      if (metricsPath) write(metricsPath, this.toPrometheus());
+      if (stepSummaryPath) fs.appendFileSync(stepSummaryPath, markdown);
+    },
+  };
+}
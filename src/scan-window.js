@@ -0,0 +1,92 @@
+import { parseArgs } from "util";
+import { ConfigError } from "./config-schema.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// "2025-07-01", "2025-07-01T09:00:00Z" or a span back from now: "36h", "2d"
+function parseSince(value, now) {
+  const span = String(value).match(/^(\d+(?:\.\d+)?)\s*([hd])$/i);
+  if (span) {
+    const unit = span[2].toLowerCase() === "h" ? HOUR_MS : DAY_MS;
+    return new Date(now - parseFloat(span[1]) * unit);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ConfigError(
+      `Invalid --since "${value}" (use an ISO date or a span such as 36h or 2d)`
+    );
+  }
+  return date;
+}
+
+// Decides from which publish time on each symbol's news is considered.
+// By default a run continues from the symbol's high-water mark, going back
+// `watermarkOverlapMinutes` for stories that show up late, and a symbol seen
+// for the first time goes back `lookbackDays`. --since (or the `since`
+// setting) sets one cut-off for every symbol and --backfill N (or
+// `backfillDays`) goes N days back; both ignore the marks, while the
+// seen-article ledger still keeps stored stories from being sent again.
+// Bad values throw a ConfigError, which the CLI reports without a stack.
+export function resolveScanWindow(
+  argv = process.argv.slice(2),
+  {
+    since = null,
+    backfillDays = null,
+    lookbackDays = 1,
+    watermarkOverlapMinutes: overlapMinutes = 60,
+  } = {},
+  now = Date.now()
+) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      since: { type: "string" },
+      backfill: { type: "string" },
+    },
+    strict: false,
+    allowPositionals: true,
+  });
+
+  const sinceValue = values.since ?? since;
+  const backfillValue = values.backfill ?? backfillDays;
+
+  if (sinceValue && backfillValue) {
+    throw new ConfigError("Use either --since or --backfill, not both");
+  }
+  if (!(lookbackDays > 0) || !(overlapMinutes >= 0)) {
+    throw new ConfigError(
+      "lookbackDays must be positive and watermarkOverlapMinutes not negative"
+    );
+  }
+
+  let fixed = null;
+  let mode = "incremental";
+  if (sinceValue) {
+    mode = "since";
+    fixed = parseSince(sinceValue, now);
+  } else if (backfillValue) {
+    const days = Number(backfillValue);
+    if (!(days > 0)) {
+      throw new ConfigError(
+        `Invalid --backfill "${backfillValue}" (days, > 0)`
+      );
+    }
+    mode = "backfill";
+    fixed = new Date(now - days * DAY_MS);
+  }
+
+  return {
+    mode,
+    since: fixed,
+
+    // Cut-off for a symbol given its high-water mark (ISO string or null)
+    sinceFor(watermark) {
+      if (fixed) return fixed;
+      if (watermark) {
+        return new Date(new Date(watermark).getTime() - overlapMinutes * 60000);
+      }
+      return new Date(now - lookbackDays * DAY_MS);
+    },
+  };
+}
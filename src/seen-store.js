@@ -0,0 +1,208 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Entries older than this are dropped on save. The card filter only keeps
+// articles a few days old, so anything past this window can never come back.
+const DEFAULT_RETENTION_DAYS = 14;
+
+// TradingView serves the same story from several regional hosts
+// (in.tradingview.com, www.tradingview.com, ...) and appends tracking
+// parameters, so the ledger keys on a normalised form of the link.
+export function canonicalArticleUrl(link) {
+  try {
+    const url = new URL(link);
+    if (url.hostname.endsWith("tradingview.com")) {
+      url.hostname = "www.tradingview.com";
+    }
+    url.protocol = "https:";
+    url.search = "";
+    url.hash = "";
+    if (!url.pathname.endsWith("/")) url.pathname += "/";
+    return url.toString().toLowerCase();
+  } catch {
+    return String(link || "")
+      .trim()
+      .toLowerCase();
+  }
+}
+
+// Query parameters added for campaign and click tracking
+const TRACKING_PARAMS =
+  /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+// The link as published, minus tracking parameters. Unlike the ledger key
+// above it keeps the host, case and path, since article paths are case
+// sensitive; records carry this when the page names no canonical URL.
+export function publishedArticleUrl(link) {
+  try {
+    const url = new URL(link);
+    for (const name of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(name)) url.searchParams.delete(name);
+    }
+    return url.toString();
+  } catch {
+    return link || null;
+  }
+}
+
+// Stable ID of a story across runs, regional hosts and tracking parameters.
+// Sinks that upsert (WordPress) key on it.
+export function articleId(link) {
+  return crypto
+    .createHash("sha1")
+    .update(canonicalArticleUrl(link))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+export function contentHash(headline, content) {
+  const normalised = `${headline || ""}\n${content || ""}`
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+  return crypto.createHash("sha256").update(normalised).digest("hex");
+}
+
+// MinHash signatures (clusters.js) are 64 32-bit numbers. The ledger keeps
+// them as base64 of their big-endian bytes, a third of the room the numbers
+// take as JSON, as CI caches the ledger and hands it between shards.
+function packSignature(signature) {
+  if (!Array.isArray(signature)) return signature;
+  const buffer = Buffer.alloc(signature.length * 4);
+  signature.forEach((value, i) => buffer.writeUInt32BE(value, i * 4));
+  return buffer.toString("base64");
+}
+
+function unpackSignature(signature) {
+  if (typeof signature !== "string") return signature;
+  const buffer = Buffer.from(signature, "base64");
+  return Array.from({ length: buffer.length / 4 }, (_, i) =>
+    buffer.readUInt32BE(i * 4)
+  );
+}
+
+function readLedgerFile(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return {
+      entries: Array.isArray(parsed.entries) ? parsed.entries : [],
+      watermarks: parsed.watermarks || {},
+    };
+  } catch (error) {
+    console.error(
+      `Could not read seen-article ledger ${filePath}:`,
+      error.message
+    );
+    return { entries: [], watermarks: {} };
+  }
+}
+
+// The ledger is a directory of JSON files, one per shard. Every shard reads
+// all of them on start and only ever writes its own file, so parallel matrix
+// jobs never clobber each other and a later merge is just a directory copy.
+// Besides the articles it keeps a high-water mark per symbol: the publish
+// time up to which that symbol's news has been worked through. A read-only
+// store remembers in memory but never writes its file (dry runs).
+export function loadSeenStore({
+  dir,
+  shard = 0,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  readOnly = false,
+}) {
+  const byUrl = new Map();
+  const hashes = new Set();
+  const watermarks = new Map();
+  const ownFile = path.join(dir, `shard-${shard}.json`);
+
+  const remember = (entry) => {
+    if (!entry?.url) return;
+    const existing = byUrl.get(entry.url);
+    if (!existing || existing.storedAt < entry.storedAt) {
+      byUrl.set(entry.url, entry);
+    }
+    if (entry.hash) hashes.add(entry.hash);
+  };
+
+  const raiseWatermark = (symbol, timestamp) => {
+    const key = String(symbol || "").toUpperCase();
+    if (!key || !timestamp) return;
+    const current = watermarks.get(key);
+    if (!current || new Date(current) < new Date(timestamp)) {
+      watermarks.set(key, new Date(timestamp).toISOString());
+    }
+  };
+
+  if (fs.existsSync(dir)) {
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith(".json")) continue;
+      const ledger = readLedgerFile(path.join(dir, file));
+      for (const entry of ledger.entries) {
+        remember({ ...entry, signature: unpackSignature(entry.signature) });
+      }
+      for (const [symbol, timestamp] of Object.entries(ledger.watermarks)) {
+        raiseWatermark(symbol, timestamp);
+      }
+    }
+  }
+
+  console.log(`Loaded ${byUrl.size} previously stored articles from ${dir}.`);
+
+  return {
+    get size() {
+      return byUrl.size;
+    },
+
+    hasUrl(link) {
+      return byUrl.has(canonicalArticleUrl(link));
+    },
+
+    hasContent(hash) {
+      return hashes.has(hash);
+    },
+
+    // Every remembered entry, newest per URL
+    entries() {
+      return Array.from(byUrl.values());
+    },
+
+    // ISO time of the newest article handled for the symbol, or null
+    watermark(symbol) {
+      return watermarks.get(String(symbol || "").toUpperCase()) || null;
+    },
+
+    // Moves the symbol's mark forward; an older timestamp is ignored
+    advanceWatermark(symbol, timestamp) {
+      raiseWatermark(symbol, timestamp);
+    },
+
+    record(link, hash, extra = {}) {
+      remember({
+        url: canonicalArticleUrl(link),
+        hash,
+        storedAt: new Date().toISOString(),
+        ...extra,
+      });
+    },
+
+    save() {
+      if (readOnly) return;
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      const entries = Array.from(byUrl.values())
+        .filter((entry) => new Date(entry.storedAt).getTime() >= cutoff)
+        .map((entry) => ({
+          ...entry,
+          signature: packSignature(entry.signature),
+        }));
+
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpFile = `${ownFile}.tmp`;
+      fs.writeFileSync(
+        tmpFile,
+        JSON.stringify({ entries, watermarks: Object.fromEntries(watermarks) })
+      );
+      fs.renameSync(tmpFile, ownFile);
+      console.log(`Saved ${entries.length} seen articles to ${ownFile}.`);
+    },
+  };
+}
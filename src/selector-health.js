@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+
+// Accumulates how often each selector of the registry matched across all the
+// pages of a run, so a TradingView markup change shows up as selectors (or
+// whole lists) that stopped matching instead of as quietly empty results.
+export function createSelectorHealth(registry) {
+  const hits = {};
+  const pages = {};
+  const cards = { pagesChecked: 0, found: 0 };
+  for (const [list, selectors] of Object.entries(registry)) {
+    hits[list] = Object.fromEntries(selectors.map((selector) => [selector, 0]));
+    pages[list] = 0;
+  }
+
+  return {
+    // `counts` is the output of countSelectorMatches for one page
+    record(counts) {
+      for (const [list, perSelector] of Object.entries(counts)) {
+        if (!hits[list]) continue;
+        pages[list]++;
+        for (const [selector, count] of Object.entries(perSelector)) {
+          hits[list][selector] = (hits[list][selector] || 0) + count;
+        }
+      }
+    },
+
+    // `count` is the number of cards read from one news page, before any
+    // time-window filter
+    recordCards(count) {
+      cards.pagesChecked++;
+      cards.found += count;
+    },
+
+    totalHits(list) {
+      return Object.values(hits[list] || {}).reduce((sum, n) => sum + n, 0);
+    },
+
+    report() {
+      const lists = Object.entries(hits).map(([list, perSelector]) => ({
+        list,
+        pagesChecked: pages[list],
+        selectors: Object.entries(perSelector).map(([selector, count]) => ({
+          selector,
+          hits: count,
+        })),
+      }));
+
+      return {
+        generatedAt: new Date().toISOString(),
+        lists,
+        cards: { ...cards },
+        // Only lists that were checked at least once can be called dead
+        deadLists: lists
+          .filter(
+            ({ pagesChecked, selectors }) =>
+              pagesChecked > 0 && selectors.every(({ hits }) => hits === 0)
+          )
+          .map(({ list }) => list),
+      };
+    },
+
+    print() {
+      const { lists, deadLists } = this.report();
+      console.log("\n--- Selector Health ---");
+      for (const { list, pagesChecked, selectors } of lists) {
+        console.log(`${list} (${pagesChecked} pages):`);
+        for (const { selector, hits: count } of selectors) {
+          console.log(`  ${count > 0 ? "ok  " : "MISS"} ${count}\t${selector}`);
+        }
+      }
+      console.log(
+        `News cards read: ${cards.found} on ${cards.pagesChecked} pages`
+      );
+      if (deadLists.length > 0) {
+        console.error(
+          `Selector lists with no matches: ${deadLists.join(", ")}`
+        );
+      }
+    },
+
+    save(filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(this.report(), null, 2));
+      console.log(`Selector health report written to ${filePath}`);
+    },
+  };
+}
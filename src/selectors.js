@@ -0,0 +1,61 @@
+import { fileURLToPath } from "url";
+import { readConfigFile, readOverrideFile } from "./config-file.js";
+import { ConfigError } from "./config-schema.js";
+import { loadOverridable } from "./config.js";
+
+export const DEFAULT_SELECTORS_PATH = fileURLToPath(
+  new URL("../config/selectors.json", import.meta.url)
+);
+
+const SELECTOR_LISTS = [
+  "articleSelectors",
+  "headlineSelectors",
+  "providerSelectors",
+  "contentSelectors",
+  "timeSelectors",
+  "tickerSelectors",
+];
+
+// Loads the shipped registry and lays the lists of `overridePath` (JSON or
+// YAML) over it, so a run can swap selectors after a TradingView markup change
+// without a code deploy. Lists missing from the override keep their defaults.
+export function loadSelectorRegistry(overridePath) {
+  const registry = readConfigFile(DEFAULT_SELECTORS_PATH);
+
+  if (overridePath) {
+    const override = readOverrideFile(overridePath);
+    for (const [name, list] of Object.entries(override)) {
+      if (!SELECTOR_LISTS.includes(name)) {
+        throw new ConfigError(
+          `Unknown selector list "${name}" in ${overridePath}. Expected one of: ${SELECTOR_LISTS.join(
+            ", "
+          )}`
+        );
+      }
+      registry[name] = list;
+    }
+  }
+
+  for (const name of SELECTOR_LISTS) {
+    const list = registry[name];
+    if (
+      !Array.isArray(list) ||
+      list.length === 0 ||
+      !list.every((selector) => typeof selector === "string")
+    ) {
+      throw new ConfigError(
+        `Selector list "${name}" must be a non-empty string array`
+      );
+    }
+  }
+
+  if (overridePath) {
+    console.log(`Loaded selector overrides from ${overridePath}`);
+  }
+  return registry;
+}
+
+export const SELECTOR_REGISTRY = loadOverridable(
+  loadSelectorRegistry,
+  "selectorsFile"
+);
@@ -0,0 +1,72 @@
+import crypto from "crypto";
+import { parseArgs } from "util";
+import { ConfigError } from "./config-schema.js";
+
+// Shard settings come from --shard-index/--shard-count, falling back to the
+// configured `defaults` (SHARD_INDEX/SHARD_COUNT). Without either the whole
+// sheet is a single shard. Bad values throw a ConfigError.
+export function resolveShardOptions(
+  argv = process.argv.slice(2),
+  defaults = {}
+) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "shard-index": { type: "string" },
+      "shard-count": { type: "string" },
+      "shard-strategy": { type: "string" },
+    },
+    strict: false,
+    allowPositionals: true,
+  });
+
+  const rawIndex = values["shard-index"] ?? defaults.index ?? 0;
+  const rawCount = values["shard-count"] ?? defaults.count ?? 1;
+  const index = Number(rawIndex);
+  const count = Number(rawCount);
+  const strategy = values["shard-strategy"] ?? defaults.strategy ?? "hash";
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new ConfigError(
+      `Invalid shard count "${rawCount}" (a whole number, at least 1)`
+    );
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= count) {
+    throw new ConfigError(
+      `Shard index "${rawIndex}" is out of range for ${count} shards (0 to ${
+        count - 1
+      })`
+    );
+  }
+  if (!["hash", "range"].includes(strategy)) {
+    throw new ConfigError(
+      `Unknown shard strategy "${strategy}" (use hash or range)`
+    );
+  }
+
+  return { index, count, strategy };
+}
+
+// Hashing the symbol keeps every stock on the same shard when rows are
+// inserted or reordered in the sheet, unlike slicing by row number.
+export function shardForSymbol(symbol, count) {
+  const digest = crypto
+    .createHash("sha1")
+    .update(
+      String(symbol || "")
+        .trim()
+        .toUpperCase()
+    )
+    .digest();
+  return digest.readUInt32BE(0) % count;
+}
+
+export function selectShard(stocks, { index, count, strategy }) {
+  if (strategy === "range") {
+    const size = Math.ceil(stocks.length / count);
+    return stocks.slice(index * size, (index + 1) * size);
+  }
+  return stocks.filter(
+    (stock) => shardForSymbol(stock.Symbol || stock.link, count) === index
+  );
+}
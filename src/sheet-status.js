@@ -0,0 +1,144 @@
+import { google } from "googleapis";
+import { columnLetter } from "./stock-sources/google-sheet.js";
+
+export const STATUS_COLUMNS = [
+  "Last Scraped At",
+  "Articles Found",
+  "Articles Stored",
+  "Last News At",
+  "Last Error",
+  "Status",
+];
+
+const FLUSH_EVERY = 25;
+
+// Status of a row as shown to the editors of the watchlist
+export function rowStatus({ error, lastNewsAt, staleDays, now = Date.now() }) {
+  if (error) return "ERROR";
+  const newest = lastNewsAt ? Date.parse(lastNewsAt) : NaN;
+  if (Number.isNaN(newest) || now - newest > staleDays * 24 * 60 * 60 * 1000) {
+    return `NO NEWS ${staleDays}D+`;
+  }
+  return "OK";
+}
+
+// Writes per-stock scrape results into status columns of the watchlist sheet.
+// Missing status columns are added after the last header. Updates are
+// buffered and sent in batches, and only ever touch the status cells of rows
+// this run scraped, so parallel shards do not overwrite each other.
+export function createSheetStatusWriter({
+  sheetId,
+  sheetName,
+  serviceAccount,
+  staleDays,
+}) {
+  let sheets = null;
+  let columns = null;
+  let previousLastNews = [];
+  const pending = [];
+
+  async function init() {
+    const auth = new google.auth.JWT({
+      email: serviceAccount.email,
+      key: serviceAccount.privateKey,
+      scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+    });
+    await auth.authorize();
+    sheets = google.sheets({ version: "v4", auth });
+
+    const headerResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${sheetName}!1:1`,
+    });
+    const headers = headerResponse.data.values?.[0] || [];
+
+    columns = {};
+    const missing = [];
+    for (const name of STATUS_COLUMNS) {
+      const index = headers.indexOf(name);
+      if (index === -1) {
+        missing.push(name);
+        columns[name] = headers.length + missing.length - 1;
+      } else {
+        columns[name] = index;
+      }
+    }
+
+    if (missing.length > 0) {
+      const first = columnLetter(headers.length);
+      const last = columnLetter(headers.length + missing.length - 1);
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${sheetName}!${first}1:${last}1`,
+        valueInputOption: "RAW",
+        requestBody: { values: [missing] },
+      });
+      console.log(`Added status columns to the sheet: ${missing.join(", ")}`);
+    }
+
+    // Kept so a stock without news this run still shows when it last had some
+    const lastNewsLetter = columnLetter(columns["Last News At"]);
+    const lastNewsResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${sheetName}!${lastNewsLetter}:${lastNewsLetter}`,
+    });
+    previousLastNews = (lastNewsResponse.data.values || []).map(
+      (row) => row[0]
+    );
+  }
+
+  async function flush() {
+    if (!sheets || pending.length === 0) return;
+    const batch = pending.splice(0);
+
+    try {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: {
+          valueInputOption: "RAW",
+          data: batch.flatMap(({ row, values }) =>
+            Object.entries(values).map(([name, value]) => ({
+              range: `${sheetName}!${columnLetter(columns[name])}${row}`,
+              values: [[value]],
+            }))
+          ),
+        },
+      });
+      console.log(`Wrote scrape status for ${batch.length} sheet rows.`);
+    } catch (error) {
+      console.error(
+        "Failed to write scrape status to the sheet:",
+        error.message
+      );
+    }
+  }
+
+  return {
+    init,
+    flush,
+
+    async update(stockEntry, { found, stored, newestArticleAt, error }) {
+      if (!sheets || !stockEntry.sheetRow) return;
+
+      const previous = previousLastNews[stockEntry.sheetRow - 1];
+      const lastNewsAt =
+        newestArticleAt && (!previous || newestArticleAt > previous)
+          ? newestArticleAt
+          : previous || "";
+
+      pending.push({
+        row: stockEntry.sheetRow,
+        values: {
+          "Last Scraped At": new Date().toISOString(),
+          "Articles Found": found,
+          "Articles Stored": stored,
+          "Last News At": lastNewsAt,
+          "Last Error": error || "",
+          Status: rowStatus({ error, lastNewsAt, staleDays }),
+        },
+      });
+
+      if (pending.length >= FLUSH_EVERY) await flush();
+    },
+  };
+}
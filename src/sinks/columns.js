@@ -0,0 +1,50 @@
+import { formatTicker } from "../tickers.js";
+import { clusterFields } from "../clusters.js";
+
+// Columns of the CSV file and of the Google Sheet tab, in order. Both sinks
+// lay records out from here so the two cannot drift apart.
+export const RECORD_COLUMNS = [
+  "date",
+  "timestamp",
+  "symbol",
+  "relatedSymbols",
+  "provider",
+  "headline",
+  "content",
+  "canonicalUrl",
+  "author",
+  "imageUrl",
+  "tags",
+  "sentiment",
+  "sentimentScore",
+  "clusterId",
+  "isCanonical",
+  "clusterCanonicalUrl",
+];
+
+// Flattens the list and object fields of a record for one cell
+function columnValue(data, column) {
+  switch (column) {
+    case "relatedSymbols":
+      return (data.relatedSymbols || []).map(formatTicker).join(" ");
+    case "tags":
+      return (data.tags || []).join(" ");
+    case "sentiment":
+      return data.sentiment?.label;
+    case "sentimentScore":
+      return data.sentiment?.score;
+    case "clusterId":
+      return clusterFields(data).clusterId;
+    case "isCanonical":
+      return clusterFields(data).isCanonical;
+    case "clusterCanonicalUrl":
+      return clusterFields(data).canonicalUrl;
+    default:
+      return data[column];
+  }
+}
+
+// One cell per column of RECORD_COLUMNS
+export function recordRow(data) {
+  return RECORD_COLUMNS.map((column) => columnValue(data, column));
+}
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import { RECORD_COLUMNS, recordRow } from "./columns.js";
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function createNdjsonSink({ filePath }) {
+  return {
+    name: "ndjson",
+
+    async write(data) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(data) + "\n");
+    },
+  };
+}
+
+// The first line of a file, without reading all of it
+function readHeader(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(4096);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString("utf8", 0, bytes).split(/\r?\n/)[0];
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export function createCsvSink({ filePath }) {
+  const header = RECORD_COLUMNS.join(",");
+  let checked = false;
+
+  // A file an older version wrote with other columns is moved aside on the
+  // first write, so no row ever lands under the wrong header
+  function setAsideOtherLayout() {
+    checked = true;
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) return;
+    if (readHeader(filePath) === header) return;
+    const { dir, name, ext } = path.parse(filePath);
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const aside = path.join(dir, `${name}.${stamp}${ext}`);
+    fs.renameSync(filePath, aside);
+    console.warn(
+      `${filePath} has other columns than this version writes; moved it to ${aside}`
+    );
+  }
+
+  return {
+    name: "csv",
+
+    async write(data) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      if (!checked) setAsideOtherLayout();
+      if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) {
+        fs.writeFileSync(filePath, header + "\n");
+      }
+      const row = recordRow(data).map(csvField);
+      fs.appendFileSync(filePath, row.join(",") + "\n");
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import { google } from "googleapis";
+import { withRetry } from "../retry.js";
+import { RECORD_COLUMNS, recordRow } from "./columns.js";
+
+// The tab's columns run from A to the letter of the last one
+const RANGE_END = String.fromCharCode(64 + RECORD_COLUMNS.length);
+
+export function createGoogleSheetSink(
+  { sheetId, tabName, serviceAccount },
+  retry
+) {
+  let sheets = null;
+
+  // Authorise lazily so a run where no article gets stored never touches
+  // the Sheets API.
+  async function getClient() {
+    if (sheets) return sheets;
+
+    const auth = new google.auth.JWT({
+      email: serviceAccount.email,
+      key: serviceAccount.privateKey,
+      scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+    });
+    await auth.authorize();
+    sheets = google.sheets({ version: "v4", auth });
+    return sheets;
+  }
+
+  return {
+    name: "sheet",
+
+    async write(data) {
+      const client = await getClient();
+      await withRetry(
+        () =>
+          client.spreadsheets.values.append({
+            spreadsheetId: sheetId,
+            range: `${tabName}!A:${RANGE_END}`,
+            valueInputOption: "RAW",
+            insertDataOption: "INSERT_ROWS",
+            requestBody: { values: [recordRow(data)] },
+          }),
+        { ...retry, label: "Google Sheet append" }
+      );
+    },
+  };
+}
@@ -0,0 +1,128 @@
+import { createWordPressSink } from "./wordpress.js";
+import { createNdjsonSink, createCsvSink } from "./file.js";
+import { createGoogleSheetSink } from "./google-sheet.js";
+import { createWebhookSink } from "./webhook.js";
+import { createSqliteSink } from "./sqlite.js";
+
+// A sink is any object with a `name` and an async `write(record)` that
+// resolves on success and throws once the record cannot be delivered. It may
+// also keep the run report through an async `saveRun(report)`, and check
+// its endpoint before a run through an async `probe()` that throws when the
+// sink cannot work.
+const SINK_FACTORIES = {
+  wordpress: (config) =>
+    createWordPressSink(
+      { ...config.wordpress, timeoutMs: config.requestTimeoutMs },
+      config.retry
+    ),
+  ndjson: (config) => createNdjsonSink(config.ndjson),
+  csv: (config) => createCsvSink(config.csv),
+  sheet: (config) => createGoogleSheetSink(config.sheet, config.retry),
+  webhook: (config) =>
+    createWebhookSink(
+      { ...config.webhook, timeoutMs: config.requestTimeoutMs },
+      config.retry
+    ),
+  sqlite: (config) => createSqliteSink(config.sqlite),
+};
+
+export function createSinks(names, config, { deadLetters } = {}) {
+  const sinks = names.map((name) => {
+    const factory = SINK_FACTORIES[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown sink "${name}". Available sinks: ${Object.keys(
+          SINK_FACTORIES
+        ).join(", ")}`
+      );
+    }
+    return {
+      sink: factory(config),
+      canonicalOnly: (config.canonicalOnly || []).includes(name),
+      succeeded: 0,
+      failed: 0,
+      skipped: 0,
+    };
+  });
+
+  async function writeTo(entry, record) {
+    try {
+      await entry.sink.write(record);
+      entry.succeeded++;
+      return true;
+    } catch (error) {
+      entry.failed++;
+      console.error(`Sink ${entry.sink.name} failed:`, error.message);
+      deadLetters?.push(entry.sink.name, record, error.message);
+      return false;
+    }
+  }
+
+  return {
+    names: sinks.map((entry) => entry.sink.name),
+
+    // Writes the record to every sink and returns the names of those that
+    // accepted it. Near-duplicate alternates skip canonical-only sinks.
+    async writeAll(record) {
+      const accepted = [];
+      for (const entry of sinks) {
+        if (entry.canonicalOnly && record.cluster?.canonical === false) {
+          entry.skipped++;
+          continue;
+        }
+        if (await writeTo(entry, record)) accepted.push(entry.sink.name);
+      }
+      return accepted;
+    },
+
+    // Writes to a single sink by name, used when replaying dead letters.
+    async writeOne(name, record) {
+      const entry = sinks.find((candidate) => candidate.sink.name === name);
+      if (!entry) throw new Error(`Sink "${name}" is not enabled`);
+      return writeTo(entry, record);
+    },
+
+    // Probes every sink that can be probed and throws one error naming all
+    // that failed, so a run stops before scraping anything it cannot store
+    async probe() {
+      const problems = [];
+      for (const { sink } of sinks) {
+        try {
+          await sink.probe?.();
+        } catch (error) {
+          problems.push(`${sink.name}: ${error.message}`);
+        }
+      }
+      if (problems.length > 0) {
+        const error = new Error(
+          `Sink check failed:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+        );
+        error.code = "SINK_UNAVAILABLE";
+        throw error;
+      }
+    },
+
+    // Hands the finished run's report to the sinks that keep reports
+    async saveRun(report) {
+      for (const { sink } of sinks) {
+        try {
+          await sink.saveRun?.(report);
+        } catch (error) {
+          console.error(
+            `Sink ${sink.name} could not save the run report:`,
+            error.message
+          );
+        }
+      }
+    },
+
+    summary() {
+      return sinks.map((entry) => ({
+        name: entry.sink.name,
+        succeeded: entry.succeeded,
+        failed: entry.failed,
+        skipped: entry.skipped,
+      }));
+    },
+  };
+}
@@ -0,0 +1,25 @@
+// Keeps a local, queryable copy in SQLite; see server.js for the API on top.
+// The database is opened on the first write, so a run that stores nothing
+// leaves no file behind. better-sqlite3 is a native, optional dependency:
+// it is only loaded then, so runs without this sink work when it failed to
+// build.
+export function createSqliteSink({ filePath }) {
+  let opening = null;
+  const open = () =>
+    (opening ??= import("../article-store.js").then(({ openArticleStore }) =>
+      openArticleStore(filePath)
+    ));
+
+  return {
+    name: "sqlite",
+
+    async write(data) {
+      (await open()).saveArticle(data);
+    },
+
+    // The run report, served by /runs/:id
+    async saveRun(report) {
+      (await open()).saveRun(report);
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import axios from "axios";
+import { withRetry } from "../retry.js";
+
+export function createWebhookSink({ url, token, timeoutMs = 10000 }, retry) {
+  return {
+    name: "webhook",
+
+    async write(data) {
+      if (!url) {
+        throw new Error("Webhook sink enabled but WEBHOOK_URL is not set.");
+      }
+
+      await withRetry(
+        () =>
+          axios.post(url, data, {
+            headers: {
+              "Content-Type": "application/json",
+              ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            },
+            timeout: timeoutMs,
+          }),
+        { ...retry, label: "Webhook post" }
+      );
+    },
+  };
+}
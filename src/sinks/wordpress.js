@@ -0,0 +1,191 @@
+import axios from "axios";
+import { withRetry } from "../retry.js";
+import { formatTicker } from "../tickers.js";
+import { clusterFields } from "../clusters.js";
+
+// Any well-formed ID will do: the probe only needs the item route to answer
+const PROBE_ID = "0000000000000000";
+
+// Body of the upsert for one record
+export function wordPressPayload(data) {
+  const cluster = clusterFields(data);
+  return {
+    ArticleId: data.articleId,
+    Headline: data.headline,
+    Fullarticle: data.contentHtml || data.content,
+    FullarticleMarkdown: data.contentMarkdown,
+    Provider: data.provider || "General",
+    Symbol: data.symbol,
+    RelatedSymbols: (data.relatedSymbols || []).map(formatTicker),
+    date: data.date,
+    PublishedAt: data.publishedAt,
+    SourceUrl: data.canonicalUrl,
+    ContentHash: data.contentHash,
+    // Near-duplicates point at the post of their cluster's canonical story
+    ClusterId: cluster.clusterId,
+    IsCanonical: cluster.isCanonical,
+    CanonicalUrl: cluster.canonicalUrl,
+    Author: data.author,
+    ImageUrl: data.imageUrl,
+    Tags: data.tags || [],
+    Sentiment: data.sentiment?.label,
+    SentimentScore: data.sentiment?.score,
+  };
+}
+
+// Status of a request that WordPress answered, with the REST error code
+async function answer(config) {
+  try {
+    const response = await axios(config);
+    return { status: response.status, code: null };
+  } catch (error) {
+    if (!error.response) throw error;
+    return {
+      status: error.response.status,
+      code: error.response.data?.code ?? null,
+    };
+  }
+}
+
+// WordPress answers 404 with rest_no_route when the route itself is missing
+const noRoute = ({ status, code }) =>
+  status === 404 && (code === "rest_no_route" || !code);
+
+const badCredentials = (baseUrl, status) =>
+  new Error(
+    `WordPress rejected the credentials for ${baseUrl} (HTTP ${status}). Check WP_USER and the application password in WP_PASS.`
+  );
+
+// Posts go to the scraper plugin at `apiUrl`, keyed by the record's
+// articleId:
+//   PUT {apiUrl}/{id}  creates the post, or updates the one with that ID
+//   GET {apiUrl}/{id}  returns the post, or 404 when there is none yet
+// Both need WP_USER and its application password. Sending the same record
+// twice leaves one post, so retries and dead-letter replays are safe.
+//
+// Plugin versions without the {id} route only take POST {apiUrl}, which
+// always creates a post. Until the plugin is updated the sink falls back to
+// that: the payload still carries ArticleId, but resends are duplicated.
+export function createWordPressSink(
+  { apiUrl, user, pass, timeoutMs = 10000 },
+  retry
+) {
+  const baseUrl = apiUrl?.replace(/\/+$/, "");
+  const request = (method, url, data) => ({
+    method,
+    url,
+    data,
+    headers: { "Content-Type": "application/json" },
+    auth: { username: user, password: pass },
+    timeout: timeoutMs,
+  });
+  const itemUrl = (id) => `${baseUrl}/${encodeURIComponent(id)}`;
+  // "upsert", "post", or null until the probe or a first write decides
+  let mode = null;
+
+  function fallBackToPost() {
+    if (mode !== "post") {
+      console.warn(
+        `WordPress has no upsert route ${baseUrl}/{id}; posting to ${baseUrl} instead, which cannot update earlier posts. Update the scraper plugin to enable upserts.`
+      );
+    }
+    mode = "post";
+  }
+
+  return {
+    name: "wordpress",
+
+    // Run before the scrape so bad credentials or a missing plugin route
+    // stop the run instead of sending every article to the dead-letter file
+    async probe() {
+      if (!baseUrl) return;
+      try {
+        const item = await answer(request("GET", itemUrl(PROBE_ID)));
+        if (item.status === 401 || item.status === 403) {
+          throw badCredentials(baseUrl, item.status);
+        }
+        if (item.status < 400 || (item.status === 404 && !noRoute(item))) {
+          mode = "upsert";
+          return;
+        }
+        if (!noRoute(item)) {
+          throw new Error(
+            `WordPress endpoint ${baseUrl} answered the probe with HTTP ${item.status}`
+          );
+        }
+
+        // An older plugin: its POST route answers OPTIONS without
+        // credentials, and the core users/me route checks them
+        if (noRoute(await answer(request("OPTIONS", baseUrl)))) {
+          throw new Error(
+            `WordPress has no route ${baseUrl} (HTTP 404). Check WP_API_URL and that the scraper plugin is active.`
+          );
+        }
+        const root = baseUrl.match(/^(.*\/wp-json)\//)?.[1];
+        if (root) {
+          const me = await answer(request("GET", `${root}/wp/v2/users/me`));
+          if (me.status === 401 || me.status === 403) {
+            throw badCredentials(baseUrl, me.status);
+          }
+        }
+        fallBackToPost();
+      } catch (error) {
+        if (error.isAxiosError) {
+          throw new Error(
+            `WordPress endpoint ${baseUrl} is unreachable: ${error.message}`
+          );
+        }
+        throw error;
+      }
+    },
+
+    async write(data) {
+      if (!baseUrl) {
+        console.log("WordPress API URL not configured. Skipping storage.");
+        return;
+      }
+
+      // Any other key than the one the live run hashed would upsert a
+      // second post for the story
+      if (!data.articleId) {
+        throw new Error("Record has no articleId to upsert the post by");
+      }
+
+      const payload = wordPressPayload(data);
+      const post = () =>
+        withRetry(() => axios(request("POST", baseUrl, payload)), {
+          ...retry,
+          label: "WordPress post",
+        });
+      try {
+        let response;
+        if (mode === "post") {
+          response = await post();
+        } else {
+          try {
+            response = await withRetry(
+              () => axios(request("PUT", itemUrl(payload.ArticleId), payload)),
+              { ...retry, label: "WordPress upsert" }
+            );
+            mode = "upsert";
+          } catch (error) {
+            const { status, data: body } = error.response || {};
+            if (status !== 405 && !noRoute({ status, code: body?.code })) {
+              throw error;
+            }
+            fallBackToPost();
+            response = await post();
+          }
+        }
+
+        console.log(
+          `Stored in WordPress as ${payload.ArticleId}:`,
+          response.data
+        );
+      } catch (error) {
+        console.error("WP API Error:", error.response?.data || error.message);
+        throw error;
+      }
+    },
+  };
+}
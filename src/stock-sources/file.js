@@ -0,0 +1,88 @@
+import fs from "fs";
+import { newsUrlForSymbol } from "./symbol-list.js";
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes ("") and
+// line breaks.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...records] = rows.filter((r) =>
+    r.some((value) => value.trim())
+  );
+  return records.map((record) =>
+    Object.fromEntries(
+      headers.map((header, index) => [header.trim(), record[index]?.trim()])
+    )
+  );
+}
+
+// Rows use the Google Sheet's column names (Scrap_Link, Symbol, Stock name).
+// Without a Scrap_Link the news URL is derived from an EXCHANGE:SYMBOL value
+// in Symbol or from a separate Exchange column.
+function toStockEntry(row, baseUrl) {
+  const symbol = row.Symbol ?? row.symbol;
+  const exchange = row.Exchange ?? row.exchange;
+  let link = row.Scrap_Link ?? row.link;
+
+  if (!link && symbol) {
+    const pair = symbol.includes(":")
+      ? symbol
+      : exchange && `${exchange}:${symbol}`;
+    if (pair) link = newsUrlForSymbol(pair, baseUrl);
+  }
+
+  return {
+    Symbol: symbol?.includes(":") ? symbol.split(":")[1] : symbol,
+    "Stock name": row["Stock name"] ?? row.name ?? symbol,
+    link,
+  };
+}
+
+export function loadStocksFromFile({ filePath, baseUrl }) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const rows = /\.json$/i.test(filePath) ? JSON.parse(text) : parseCsv(text);
+  if (!Array.isArray(rows)) {
+    throw new Error(`${filePath} must contain an array of stock rows`);
+  }
+
+  const stocks = rows
+    .map((row) => toStockEntry(row, baseUrl))
+    .filter((entry) => entry.link);
+
+  console.log(`Loaded ${stocks.length} stock URLs from ${filePath}.`);
+  return stocks;
+}
@@ -0,0 +1,104 @@
+import { google } from "googleapis";
+
+// Zero-based column index to A1 letters: 0 -> A, 25 -> Z, 26 -> AA
+export function columnLetter(index) {
+  let letters = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+export async function loadStocksFromSheet({
+  sheetId,
+  sheetName,
+  serviceAccount,
+}) {
+  const auth = new google.auth.JWT({
+    email: serviceAccount.email,
+    key: serviceAccount.privateKey,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets.readonly"],
+  });
+
+  await auth.authorize();
+  console.log("NewsProcessor: Google Sheet authentication successful.");
+
+  const sheets = google.sheets({ version: "v4", auth });
+
+  try {
+    const headerResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${sheetName}!1:1`,
+    });
+
+    const headers = headerResponse.data.values
+      ? headerResponse.data.values[0]
+      : [];
+    if (headers.length === 0) {
+      throw new Error(
+        "Could not read headers from the Google Sheet. Make sure the sheet is not empty."
+      );
+    }
+
+    const scrapLinkColIndex = headers.indexOf("Scrap_Link");
+    const symbolColIndex = headers.indexOf("Symbol");
+    const stockNameColIndex = headers.indexOf("Stock name");
+
+    if (
+      scrapLinkColIndex === -1 ||
+      symbolColIndex === -1 ||
+      stockNameColIndex === -1
+    ) {
+      throw new Error(
+        "Required columns (Scrap_Link, Symbol, Stock name) not found in the Google Sheet."
+      );
+    }
+
+    const startCol = Math.min(
+      symbolColIndex,
+      stockNameColIndex,
+      scrapLinkColIndex
+    );
+    const endCol = Math.max(
+      symbolColIndex,
+      stockNameColIndex,
+      scrapLinkColIndex
+    );
+    const dataRange = `${sheetName}!${columnLetter(startCol)}:${columnLetter(
+      endCol
+    )}`;
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: dataRange,
+    });
+
+    const rows = response.data.values;
+    if (!rows || rows.length === 0) {
+      console.log("No data found in the Google Sheet.");
+      return [];
+    }
+
+    const stockData = rows
+      .slice(1)
+      .map((row, index) => ({
+        Symbol: row[symbolColIndex - startCol],
+        "Stock name": row[stockNameColIndex - startCol],
+        link: row[scrapLinkColIndex - startCol],
+        // 1-based sheet row, used to write the scrape status back
+        sheetRow: index + 2,
+      }))
+      .filter((entry) => entry.link);
+
+    console.log(`Loaded ${stockData.length} stock URLs from Google Sheet.`);
+    return stockData;
+  } catch (error) {
+    console.error("Error accessing Google Sheet:", error.message);
+    if (error.code === 403) {
+      console.error(
+        "Permission denied. Make sure the service account has read access to the Google Sheet."
+      );
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,46 @@
+import { loadStocksFromSheet } from "./google-sheet.js";
+import { loadStocksFromFile } from "./file.js";
+import { loadStocksFromSymbolList } from "./symbol-list.js";
+import { parseTicker } from "../tickers.js";
+
+// Every source resolves to [{ Symbol, "Stock name", link }], the shape the
+// Google Sheet has always produced, and throws when the list cannot be read.
+const STOCK_SOURCES = {
+  sheet: (config) => loadStocksFromSheet(config.sheet),
+  file: (config) =>
+    loadStocksFromFile({ filePath: config.filePath, baseUrl: config.baseUrl }),
+  symbols: (config) =>
+    loadStocksFromSymbolList({
+      symbols: config.symbols,
+      filePath: config.symbolsFile,
+      baseUrl: config.baseUrl,
+    }),
+};
+
+export async function loadStocks(config) {
+  const load = STOCK_SOURCES[config.type];
+  if (!load) {
+    throw new Error(
+      `Unknown stock source "${config.type}". Available sources: ${Object.keys(
+        STOCK_SOURCES
+      ).join(", ")}`
+    );
+  }
+  return load(config);
+}
+
+// Stocks named on the command line: EXCHANGE:SYMBOL pairs and news page URLs
+export function stocksFromTargets({ symbols = [], urls = [], baseUrl }) {
+  const fromSymbols = symbols.length
+    ? loadStocksFromSymbolList({ symbols: symbols.join(","), baseUrl })
+    : [];
+  const fromUrls = urls.map((link) => {
+    const ticker = parseTicker(link);
+    return {
+      Symbol: ticker?.symbol ?? link,
+      "Stock name": ticker ? `${ticker.exchange}:${ticker.symbol}` : link,
+      link,
+    };
+  });
+  return [...fromSymbols, ...fromUrls];
+}
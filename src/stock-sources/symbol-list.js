@@ -0,0 +1,43 @@
+import fs from "fs";
+
+// "NSE:INFY" -> "https://www.tradingview.com/symbols/NSE-INFY/news/"
+export function newsUrlForSymbol(tvSymbol, baseUrl) {
+  const [exchange, ticker] = tvSymbol.split(":");
+  if (!exchange || !ticker) {
+    throw new Error(
+      `Expected an EXCHANGE:SYMBOL pair such as NSE:INFY, got "${tvSymbol}"`
+    );
+  }
+  return new URL(
+    `/symbols/${encodeURIComponent(
+      `${exchange}-${ticker}`.toUpperCase()
+    )}/news/`,
+    baseUrl
+  ).toString();
+}
+
+// Accepts pairs separated by commas, whitespace or new lines; lines starting
+// with # are comments.
+export function parseSymbolList(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/#.*$/, ""))
+    .join(" ")
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+export function loadStocksFromSymbolList({ symbols, filePath, baseUrl }) {
+  const text = filePath ? fs.readFileSync(filePath, "utf8") : symbols || "";
+  const pairs = [...new Set(parseSymbolList(text))];
+
+  const stocks = pairs.map((pair) => ({
+    Symbol: pair.split(":")[1],
+    "Stock name": pair,
+    link: newsUrlForSymbol(pair, baseUrl),
+  }));
+
+  console.log(`Loaded ${stocks.length} stocks from the symbol list.`);
+  return stocks;
+}
@@ -0,0 +1,30 @@
+// A ticker is { exchange, symbol }, e.g. { exchange: "NSE", symbol: "INFY" }.
+
+// Reads "NSE:INFY", "/symbols/NSE-INFY/" or a full TradingView symbol URL.
+// Returns null for anything without an exchange. Self-contained so it can
+// also run inside the page (see extract.js).
+export function parseTicker(value) {
+  const text = String(value || "").trim();
+  const path = text.match(/\/symbols\/([^/?#]+)/i);
+  const raw = path ? decodeURIComponent(path[1]).replace("-", ":") : text;
+  const match = raw.toUpperCase().match(/^([A-Z0-9_]+):([^:\s/]+)$/);
+  return match ? { exchange: match[1], symbol: match[2] } : null;
+}
+
+export function formatTicker({ exchange, symbol }) {
+  return `${exchange}:${symbol}`;
+}
+
+// Primary first, then every other ticker once, in the order first seen
+export function mergeTickers(primary, ...lists) {
+  const merged = [];
+  const seen = new Set();
+  for (const ticker of [primary, ...lists.flat()]) {
+    if (!ticker?.exchange || !ticker?.symbol) continue;
+    const key = formatTicker(ticker);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push({ exchange: ticker.exchange, symbol: ticker.symbol });
+  }
+  return merged;
+}
@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openArticleStore } from "../src/article-store.js";
+import { articleId } from "../src/seen-store.js";
+import { createApiServer } from "../src/api-server.js";
+
+const record = (overrides) => ({
+  articleId: articleId("https://www.tradingview.com/news/infy-deal/"),
+  headline: "Infosys wins large deal",
+  content: "Infosys said on Monday it won a large order.",
+  canonicalUrl: "https://www.tradingview.com/news/infy-deal/",
+  symbol: "INFY",
+  relatedSymbols: [
+    { exchange: "NSE", symbol: "INFY" },
+    { exchange: "NYSE", symbol: "INFY" },
+  ],
+  provider: "Reuters",
+  timestamp: "2025-07-01T09:00:00.000Z",
+  date: "2025-07-01",
+  tags: ["order_win"],
+  sentiment: { label: "positive", score: 1 },
+  cluster: { id: "abc", canonical: true },
+  ...overrides,
+});
+
+function seededStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+  const filePath = path.join(dir, "articles.db");
+  const store = openArticleStore(filePath);
+  store.saveArticle(record());
+  store.saveArticle(
+    record({
+      articleId: articleId("https://www.tradingview.com/news/it-slip/"),
+      headline: "TCS and Infosys shares slip",
+      canonicalUrl: "https://www.tradingview.com/news/it-slip/",
+      symbol: "TCS",
+      relatedSymbols: [
+        { exchange: "NSE", symbol: "TCS" },
+        { exchange: "NSE", symbol: "INFY" },
+      ],
+      provider: "Moneycontrol",
+      timestamp: "2025-07-02T09:00:00.000Z",
+      tags: [],
+    })
+  );
+  // Upserting the same story again replaces the row
+  store.saveArticle(record({ headline: "Infosys wins a large deal" }));
+  store.saveRun({
+    runId: "42",
+    shard: { index: 1, count: 2 },
+    startedAt: "2025-07-02T10:00:00.000Z",
+    finishedAt: "2025-07-02T10:30:00.000Z",
+    totals: { stocks: 3 },
+  });
+  store.close();
+  return openArticleStore(filePath, { readOnly: true });
+}
+
+test("queries articles by symbol, provider and date", () => {
+  const store = seededStore();
+
+  const infy = store.queryArticles({ symbol: "INFY" });
+  assert.deepEqual(
+    infy.map((a) => a.headline),
+    ["TCS and Infosys shares slip", "Infosys wins a large deal"]
+  );
+  assert.deepEqual(infy[1].relatedSymbols, ["NSE:INFY", "NYSE:INFY"]);
+  assert.equal(store.queryArticles({ symbol: "nyse:infy" }).length, 1);
+  assert.equal(store.queryArticles({ provider: "reuters" }).length, 1);
+  assert.equal(
+    store.queryArticles({
+      symbol: "INFY",
+      to: new Date("2025-07-01T23:59:59Z"),
+    }).length,
+    1
+  );
+  assert.equal(store.getRun("42")[0].totals.stocks, 3);
+  store.close();
+});
+
+test("one story is one row whichever mode read it", () => {
+  const filePath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "store-")),
+    "articles.db"
+  );
+  const store = openArticleStore(filePath);
+  const id = articleId("https://in.tradingview.com/news/infy-deal/?utm=x");
+  // Browser mode takes the page's canonical link, API mode the card's link
+  store.saveArticle(
+    record({
+      articleId: id,
+      canonicalUrl: "https://www.tradingview.com/news/infy-deal/",
+    })
+  );
+  store.saveArticle(
+    record({
+      articleId: id,
+      canonicalUrl: "https://in.tradingview.com/news/infy-deal/",
+      headline: "Infosys wins large deal (updated)",
+    })
+  );
+
+  const rows = store.queryArticles({ symbol: "INFY" });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].id, id);
+  assert.equal(rows[0].headline, "Infosys wins large deal (updated)");
+
+  // Hashing another URL than the live run did would add a second row
+  assert.throws(
+    () => store.saveArticle(record({ articleId: undefined })),
+    /no articleId/
+  );
+  store.close();
+});
+
+test("serves articles, the latest per symbol, runs and feeds", async (t) => {
+  const store = seededStore();
+  const server = createApiServer(store).listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => {
+    server.close();
+    store.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = (route) => fetch(base + route);
+
+  const articles = await (await get("/articles?symbol=TCS")).json();
+  assert.equal(articles.articles.length, 1);
+
+  const latest = await (await get("/symbols/NSE:INFY/latest")).json();
+  assert.equal(latest.headline, "TCS and Infosys shares slip");
+  assert.equal((await get("/symbols/WIPRO/latest")).status, 404);
+
+  const run = await (await get("/runs/42")).json();
+  assert.equal(run.shards[0].shard.index, 1);
+  assert.equal((await get("/runs/43")).status, 404);
+
+  const rss = await get("/symbols/INFY/feed.rss");
+  assert.match(rss.headers.get("content-type"), /rss\+xml/);
+  assert.match(await rss.text(), /<title>Infosys wins a large deal<\/title>/);
+  const atom = await (await get("/symbols/INFY/feed.atom")).text();
+  assert.match(atom, /<category term="order_win"\/>/);
+
+  assert.equal((await get("/articles?from=yesterday")).status, 400);
+  assert.equal((await get("/nothing")).status, 404);
+  assert.equal((await get("/symbols/%E0/latest")).status, 400);
+});
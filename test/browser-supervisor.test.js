@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import {
+  createBrowserSupervisor,
+  browserFailureReason,
+} from "../src/browser-supervisor.js";
+
+function fakeBrowser({ responsive = true } = {}) {
+  const browser = new EventEmitter();
+  browser.newPage = async () => {
+    let closed = false;
+    return {
+      isClosed: () => closed,
+      close: async () => {
+        closed = true;
+      },
+    };
+  };
+  browser.version = () =>
+    responsive ? Promise.resolve("fake") : new Promise(() => {});
+  browser.process = () => ({ kill: () => browser.emit("disconnected") });
+  browser.close = async () => browser.emit("disconnected");
+  return browser;
+}
+
+function supervise(browsers, options = {}) {
+  let launched = 0;
+  return createBrowserSupervisor({
+    launch: async () => browsers[launched++],
+    poolSize: 2,
+    setupPage: async () => {},
+    pageTimeoutMs: 50,
+    probeTimeoutMs: 20,
+    ...options,
+  });
+}
+
+test("classifies crash and watchdog errors", () => {
+  const hung = Object.assign(new Error("hung"), { code: "PAGE_HUNG" });
+  assert.equal(browserFailureReason(hung), "page_hung");
+  assert.equal(
+    browserFailureReason(new Error("Protocol error: Target closed")),
+    "browser_crash"
+  );
+  assert.equal(browserFailureReason(new Error("net::ERR_TIMED_OUT")), null);
+  assert.equal(browserFailureReason(null), null);
+});
+
+test("relaunches the browser after it disconnects", async () => {
+  const first = fakeBrowser();
+  const second = fakeBrowser();
+  const supervisor = supervise([first, second]);
+
+  await supervisor.use(async () => {});
+  first.emit("disconnected");
+  await supervisor.use(async () => {});
+
+  assert.deepEqual(supervisor.stats(), { launches: 2, crashes: 1 });
+  assert.equal(await supervisor.close(), true);
+  // Closing on purpose is not a crash
+  assert.equal(supervisor.stats().crashes, 1);
+});
+
+test("a hung page is abandoned and a frozen browser replaced", async () => {
+  const frozen = fakeBrowser({ responsive: false });
+  const fresh = fakeBrowser();
+  const supervisor = supervise([frozen, fresh]);
+
+  let hungPage;
+  await assert.rejects(
+    supervisor.use((page) => {
+      hungPage = page;
+      return new Promise(() => {});
+    }),
+    (error) => browserFailureReason(error) === "page_hung"
+  );
+  assert.equal(hungPage.isClosed(), true);
+
+  await supervisor.use(async () => {});
+  assert.deepEqual(supervisor.stats(), { launches: 2, crashes: 1 });
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRunBudget } from "../src/budget.js";
+
+test("caps articles per symbol and per run", () => {
+  const budget = createRunBudget({
+    maxArticlesPerSymbol: 2,
+    maxNewArticles: 3,
+  });
+
+  const infy = budget.forSymbol();
+  assert.equal(infy(), null);
+  assert.equal(infy(), null);
+  assert.equal(infy(), "symbol_article_budget");
+  // A symbol cap does not stop the run
+  assert.equal(budget.exhausted(), null);
+
+  const tcs = budget.forSymbol();
+  assert.equal(tcs(), null);
+  assert.equal(tcs(), "run_article_budget");
+  assert.equal(budget.exhausted(), "run_article_budget");
+  assert.equal(budget.summary().newArticles, 3);
+});
+
+test("the time budget stops every symbol", () => {
+  let clock = 0;
+  const budget = createRunBudget({ maxMinutes: 10, now: () => clock });
+  const infy = budget.forSymbol();
+
+  assert.equal(infy(), null);
+  clock = 10 * 60000;
+  assert.equal(budget.outOfTime(), true);
+  assert.equal(infy(), "time_budget");
+  assert.equal(budget.exhausted(), "time_budget");
+});
+
+test("running out of time after the article budget keeps the run resumable", () => {
+  let clock = 0;
+  const budget = createRunBudget({
+    maxNewArticles: 1,
+    maxMinutes: 10,
+    now: () => clock,
+  });
+  const infy = budget.forSymbol();
+
+  assert.equal(infy(), null);
+  assert.equal(infy(), "run_article_budget");
+  assert.equal(budget.exhausted(), "run_article_budget");
+
+  clock = 10 * 60000;
+  assert.equal(budget.forSymbol()(), "time_budget");
+  assert.equal(budget.exhausted(), "time_budget");
+  assert.equal(budget.summary().exhausted, "time_budget");
+});
+
+test("no limits by default", () => {
+  const take = createRunBudget({}).forSymbol();
+  for (let i = 0; i < 100; i++) assert.equal(take(), null);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadCheckpoint } from "../src/checkpoint.js";
+
+const stock = (symbol) => ({
+  Symbol: symbol,
+  link: `https://www.tradingview.com/symbols/NSE-${symbol}/news/`,
+});
+const [INFY, TCS, WIPRO] = ["INFY", "TCS", "WIPRO"].map(stock);
+const ARTICLE = "https://in.tradingview.com/news/story-1/?utm_source=x";
+
+test("a resumed run skips the stocks and articles already finished", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+  const first = loadCheckpoint({ dir });
+  first.begin("run-1");
+  first.stockDone(INFY);
+  first.articleDone(TCS, ARTICLE);
+  // The job dies here
+
+  const resumed = loadCheckpoint({ dir });
+  assert.equal(resumed.interrupted.id, "run-1");
+  const run = resumed.begin("run-2", { resume: true });
+  assert.equal(run.id, "run-1");
+  assert.equal(resumed.isStockDone(INFY), true);
+  assert.equal(resumed.isStockDone(TCS), false);
+  // Articles are matched on their canonical URL
+  assert.equal(
+    resumed.isArticleDone(TCS, "https://www.tradingview.com/news/story-1/"),
+    true
+  );
+
+  resumed.stockDone(TCS);
+  resumed.stockDone(WIPRO);
+  resumed.complete();
+  assert.equal(loadCheckpoint({ dir }).interrupted, null);
+});
+
+test("a new run puts the stocks finished last time at the back", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+  const first = loadCheckpoint({ dir });
+  first.begin("run-1");
+  first.stockDone(INFY);
+  first.stockDone(TCS);
+
+  const next = loadCheckpoint({ dir });
+  next.begin("run-2");
+  assert.equal(next.isStockDone(INFY), false);
+  assert.deepEqual(
+    next.order([INFY, TCS, WIPRO]).map((s) => s.Symbol),
+    ["WIPRO", "INFY", "TCS"]
+  );
+});
+
+test("a read-only checkpoint never writes its file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+  const checkpoint = loadCheckpoint({ dir, readOnly: true });
+  checkpoint.begin("run-1");
+  checkpoint.stockDone(INFY);
+
+  assert.equal(fs.existsSync(checkpoint.filePath), false);
+});
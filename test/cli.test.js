@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { parseCliArgs } from "../src/cli.js";
+import { stocksFromTargets } from "../src/stock-sources/index.js";
+
+test("parses targets, output and debugging flags", () => {
+  const options = parseCliArgs([
+    "--symbol",
+    "NSE:INFY",
+    "--symbol=NSE:TCS",
+    "--limit",
+    "5",
+    "--output",
+    "CSV, WordPress",
+    "--dry-run",
+    "--headful",
+    "--slowmo",
+    "250",
+    "--since",
+    "2d",
+  ]);
+
+  assert.deepEqual(options.symbols, ["NSE:INFY", "NSE:TCS"]);
+  assert.equal(options.limit, 5);
+  assert.deepEqual(options.output, ["csv", "wordpress"]);
+  assert.equal(options.dryRun, true);
+  assert.equal(options.headful, true);
+  assert.equal(options.slowMo, 250);
+  // Window and shard flags are resolved later from the raw arguments
+  assert.ok(options.argv.includes("--since"));
+});
+
+test("defaults leave the configured source and sinks in charge", () => {
+  const options = parseCliArgs([]);
+
+  assert.deepEqual(options.symbols, []);
+  assert.equal(options.limit, null);
+  assert.equal(options.output, null);
+  assert.equal(options.dryRun, false);
+  assert.equal(options.slowMo, 0);
+  assert.equal(options.printConfig, false);
+  assert.equal(parseCliArgs(["--print-config"]).printConfig, true);
+});
+
+test("--print-config prints nothing but the JSON", () => {
+  const result = spawnSync(
+    process.execPath,
+    [fileURLToPath(new URL("../index.js", import.meta.url)), "--print-config"],
+    { encoding: "utf8" }
+  );
+
+  assert.equal(result.status, 0);
+  assert.equal(JSON.parse(result.stdout).scraper.pagePoolSize, 4);
+});
+
+test("rejects unknown flags, positionals, bad numbers and unknown sinks", () => {
+  assert.throws(() => parseCliArgs(["--dryrun"]), /Unknown option/);
+  assert.throws(() => parseCliArgs(["2"]), /Unexpected argument "2"/);
+  assert.throws(() => parseCliArgs(["--limit", "0"]), /--limit/);
+  assert.throws(() => parseCliArgs(["--slowmo", "fast"]), /--slowmo/);
+  assert.throws(
+    () => parseCliArgs(["--output", "csv,file"]),
+    /--output expects sinks from wordpress, ndjson.*got "csv,file"/
+  );
+  assert.throws(() => parseCliArgs(["--output", " , "]), /--output/);
+});
+
+test("turns command-line symbols and URLs into stock entries", () => {
+  const stocks = stocksFromTargets({
+    symbols: ["nse:infy"],
+    urls: ["https://www.tradingview.com/symbols/BSE-TCS/news/"],
+    baseUrl: "https://www.tradingview.com",
+  });
+
+  assert.deepEqual(stocks, [
+    {
+      Symbol: "INFY",
+      "Stock name": "NSE:INFY",
+      link: "https://www.tradingview.com/symbols/NSE-INFY/news/",
+    },
+    {
+      Symbol: "TCS",
+      "Stock name": "BSE:TCS",
+      link: "https://www.tradingview.com/symbols/BSE-TCS/news/",
+    },
+  ]);
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  shingles,
+  minhashSignature,
+  estimateSimilarity,
+  createStoryClusters,
+} from "../src/clusters.js";
+
+const BODY =
+  "Infosys said on Tuesday it had won a multi-year digital transformation deal from a European lender, adding to a string of large contracts announced this quarter. The company did not disclose the value of the deal, which covers cloud migration and application services.";
+
+const reuters = {
+  url: "https://www.tradingview.com/news/reuters:1/",
+  headline: "Infosys wins multi-year deal with European lender",
+  provider: "Reuters",
+  timestamp: "2025-07-01T06:45:00.000Z",
+  signature: minhashSignature(
+    "Infosys wins multi-year deal with European lender",
+    BODY
+  ),
+};
+
+const syndicated = {
+  url: "https://www.tradingview.com/news/marketscreener:2/",
+  headline: "Infosys bags multi-year deal from European lender",
+  provider: "MarketScreener",
+  timestamp: "2025-07-01T09:00:00.000Z",
+  signature: minhashSignature(
+    "Infosys bags multi-year deal from European lender",
+    `BENGALURU (Reuters) - ${BODY}`
+  ),
+};
+
+const unrelated = {
+  url: "https://www.tradingview.com/news/moneycontrol:3/",
+  headline: "TCS shares slip after quarterly results miss estimates",
+  provider: "Moneycontrol",
+  timestamp: "2025-07-01T10:00:00.000Z",
+  signature: minhashSignature(
+    "TCS shares slip after quarterly results miss estimates",
+    "Tata Consultancy Services reported a smaller than expected rise in revenue as clients in North America delayed spending on technology projects."
+  ),
+};
+
+test("shingles are word trigrams and signatures estimate their overlap", () => {
+  assert.deepEqual(Array.from(shingles("Infosys wins a deal!")), [
+    "infosys wins a",
+    "wins a deal",
+  ]);
+  assert.equal(
+    estimateSimilarity(
+      reuters.signature,
+      minhashSignature(reuters.headline, BODY)
+    ),
+    1
+  );
+  assert.ok(estimateSimilarity(reuters.signature, syndicated.signature) > 0.6);
+  assert.ok(estimateSimilarity(reuters.signature, unrelated.signature) < 0.1);
+});
+
+test("near-duplicates join the cluster of the first story as alternates", () => {
+  const clusters = createStoryClusters({ threshold: 0.5, windowHours: 48 });
+
+  const first = clusters.assign(reuters);
+  const second = clusters.assign(syndicated);
+  const third = clusters.assign(unrelated);
+
+  assert.equal(first.canonical, true);
+  assert.equal(second.canonical, false);
+  assert.equal(second.id, first.id);
+  assert.equal(second.canonicalUrl, reuters.url);
+  assert.equal(third.canonical, true);
+  assert.notEqual(third.id, first.id);
+
+  assert.deepEqual(clusters.summary(), [
+    {
+      id: first.id,
+      canonicalUrl: reuters.url,
+      headline: reuters.headline,
+      provider: "Reuters",
+      alternates: [
+        {
+          url: syndicated.url,
+          headline: syndicated.headline,
+          provider: "MarketScreener",
+          similarity: second.similarity,
+        },
+      ],
+    },
+  ]);
+});
+
+test("ledger entries seed clusters, but only within the time window", () => {
+  const seed = [
+    {
+      ...reuters,
+      sourceUrl: "https://www.tradingview.com/news/Reuters-Story/",
+      clusterId: "abc",
+    },
+  ];
+
+  const seeded = createStoryClusters({ threshold: 0.5, windowHours: 48, seed });
+  const alternate = seeded.assign(syndicated);
+  assert.equal(alternate.id, "abc");
+  assert.equal(alternate.canonical, false);
+  assert.equal(alternate.canonicalUrl, reuters.url);
+  assert.equal(
+    alternate.canonicalSourceUrl,
+    "https://www.tradingview.com/news/Reuters-Story/"
+  );
+
+  const later = createStoryClusters({ threshold: 0.5, windowHours: 48, seed });
+  const late = later.assign({
+    ...syndicated,
+    timestamp: "2025-07-05T09:00:00.000Z",
+  });
+  assert.equal(late.canonical, true);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mapWithConcurrency, createThrottle } from "../src/concurrency.js";
+
+// Lets every pending promise callback run
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// A task that records how many tasks run at once and finishes when told
+function trackedTasks() {
+  const running = new Set();
+  let peak = 0;
+  const release = new Map();
+  return {
+    get peak() {
+      return peak;
+    },
+    running,
+    start(key, value = key) {
+      running.add(key);
+      peak = Math.max(peak, running.size);
+      return new Promise((resolve) =>
+        release.set(key, () => {
+          running.delete(key);
+          resolve(value);
+        })
+      );
+    },
+    finish(key) {
+      release.get(key)();
+    },
+  };
+}
+
+test("maps in input order with at most `limit` workers", async () => {
+  const tasks = trackedTasks();
+  const done = mapWithConcurrency(["a", "b", "c", "d", "e"], 2, (item, i) =>
+    tasks.start(item, `${item}${i}`)
+  );
+
+  await settle();
+  assert.deepEqual([...tasks.running], ["a", "b"]);
+  // Later items finishing first do not reorder the results
+  tasks.finish("b");
+  await settle();
+  tasks.finish("c");
+  await settle();
+  tasks.finish("d");
+  await settle();
+  assert.deepEqual([...tasks.running], ["a", "e"]);
+  tasks.finish("e");
+  tasks.finish("a");
+
+  assert.deepEqual(await done, ["a0", "b1", "c2", "d3", "e4"]);
+  assert.equal(tasks.peak, 2);
+  assert.deepEqual(await mapWithConcurrency([], 4, () => 1), []);
+});
+
+test("the throttle caps tasks per host but not across hosts", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 });
+  const advance = async () => {
+    await settle();
+    t.mock.timers.tick(10);
+    await settle();
+  };
+  const throttle = createThrottle({ requestsPerSecond: 1000, maxPerHost: 1 });
+  const tasks = trackedTasks();
+  const run = (url) => throttle.run(url, () => tasks.start(url));
+
+  const first = run("https://www.tradingview.com/a");
+  const second = run("https://www.tradingview.com/b");
+  const other = run("https://www.reuters.com/c");
+  await advance();
+  assert.deepEqual([...tasks.running].sort(), [
+    "https://www.reuters.com/c",
+    "https://www.tradingview.com/a",
+  ]);
+
+  tasks.finish("https://www.tradingview.com/a");
+  await first;
+  await advance();
+  assert.ok(tasks.running.has("https://www.tradingview.com/b"));
+  tasks.finish("https://www.tradingview.com/b");
+  tasks.finish("https://www.reuters.com/c");
+  await Promise.all([second, other]);
+
+  // A failed task still frees its host
+  const failed = assert.rejects(
+    throttle.run("https://www.tradingview.com/d", async () => {
+      throw new Error("navigation failed");
+    }),
+    /navigation failed/
+  );
+  await advance();
+  await failed;
+  const next = throttle.run("https://www.tradingview.com/e", async () => "ok");
+  await advance();
+  assert.equal(await next, "ok");
+});
+
+test("the throttle hands out one start slot per interval", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 10000 });
+  const throttle = createThrottle({ requestsPerSecond: 2, maxPerHost: 5 });
+  const starts = [];
+  const done = ["a", "b", "c"].map((name) =>
+    throttle.run(`https://${name}.example.com/`, async () =>
+      starts.push(Date.now())
+    )
+  );
+
+  for (let i = 0; i < 4; i++) {
+    await settle();
+    t.mock.timers.tick(250);
+  }
+  await settle();
+  assert.deepEqual(starts, [10000, 10500, 11000]);
+  await Promise.all(done);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseArticleTimestamp, formatDateInZone } from "../src/dates.js";
+
+const NOW = Date.parse("2025-07-01T12:00:00Z");
+const iso = (value) => parseArticleTimestamp(value, NOW)?.toISOString();
+
+test("parses absolute dates", () => {
+  assert.equal(
+    iso("Tue, 01 Jul 2025 06:45:00 GMT"),
+    "2025-07-01T06:45:00.000Z"
+  );
+  assert.equal(iso("2025-07-01T06:45:00Z"), "2025-07-01T06:45:00.000Z");
+});
+
+test("parses epoch seconds and milliseconds, as numbers or strings", () => {
+  assert.equal(iso("1751352300000"), "2025-07-01T06:45:00.000Z");
+  assert.equal(iso("1751352300"), "2025-07-01T06:45:00.000Z");
+  assert.equal(iso(1751352300), "2025-07-01T06:45:00.000Z");
+});
+
+test("parses relative labels against now", () => {
+  assert.equal(iso("3 hours ago"), "2025-07-01T09:00:00.000Z");
+  assert.equal(iso("an hour ago"), "2025-07-01T11:00:00.000Z");
+  assert.equal(iso("10 min ago"), "2025-07-01T11:50:00.000Z");
+  assert.equal(iso("5h"), "2025-07-01T07:00:00.000Z");
+  assert.equal(iso("Yesterday"), "2025-06-30T12:00:00.000Z");
+  assert.equal(iso("just now"), "2025-07-01T12:00:00.000Z");
+});
+
+test("month-day labels without a year never land in the future", () => {
+  assert.equal(parseArticleTimestamp("Jun 21", NOW).getFullYear(), 2025);
+  assert.equal(parseArticleTimestamp("Dec 30", NOW).getFullYear(), 2024);
+});
+
+test("returns null for values it cannot read", () => {
+  assert.equal(parseArticleTimestamp("", NOW), null);
+  assert.equal(parseArticleTimestamp("breaking", NOW), null);
+});
+
+test("formats the calendar day in the reporting time zone", () => {
+  const eveningIst = new Date("2025-07-01T19:30:00Z"); // 01:00 IST on Jul 2
+  assert.equal(formatDateInZone(eveningIst, "Asia/Kolkata"), "2025-07-02");
+  assert.equal(formatDateInZone(eveningIst, "UTC"), "2025-07-01");
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createDeadLetterQueue } from "../src/dead-letter.js";
+
+const tempPath = (name) =>
+  path.join(fs.mkdtempSync(path.join(os.tmpdir(), "dead-letter-")), name);
+
+const readLines = (filePath) =>
+  fs.readFileSync(filePath, "utf8").trim().split("\n");
+
+// Runs replay.js on `filePath`; resolves to its exit code and output
+function replay(filePath, env) {
+  const child = spawn(
+    process.execPath,
+    [fileURLToPath(new URL("../replay.js", import.meta.url)), filePath],
+    { env: { ...process.env, SINK_RETRIES: "0", ...env } }
+  );
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  return new Promise((resolve) =>
+    child.on("close", (status) => resolve({ status, output }))
+  );
+}
+
+test("a truncated line is kept, not fatal, and survives a rewrite", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const filePath = tempPath("dead-letters.ndjson");
+  const queue = createDeadLetterQueue(filePath);
+  queue.push("webhook", { headline: "First" }, "HTTP 503");
+  queue.push("csv", { headline: "Second" }, "EACCES");
+  fs.appendFileSync(filePath, '{"sink":"webhook","record":{"head');
+
+  const entries = queue.readAll();
+  assert.deepEqual(
+    entries.map((entry) => entry.record.headline),
+    ["First", "Second"]
+  );
+  assert.match(console.warn.mock.calls[0].arguments[0], /line 3/);
+
+  queue.rewrite(entries.slice(1));
+  const lines = readLines(filePath);
+  assert.equal(JSON.parse(lines[0]).record.headline, "Second");
+  assert.equal(lines[1], '{"sink":"webhook","record":{"head');
+});
+
+test("a replay keeps only what failed again", async () => {
+  // A webhook that accepts every record but the one headlined "Rejected"
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      res.writeHead(JSON.parse(body).headline === "Rejected" ? 400 : 200);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const filePath = tempPath("dead-letters.ndjson");
+    const queue = createDeadLetterQueue(filePath);
+    queue.push("webhook", { headline: "Accepted" }, "HTTP 503");
+    queue.push("webhook", { headline: "Rejected" }, "HTTP 503");
+    fs.appendFileSync(filePath, '{"sink":"webh\n');
+
+    const { status, output } = await replay(filePath, {
+      WEBHOOK_URL: `http://127.0.0.1:${server.address().port}/hook`,
+    });
+
+    assert.equal(status, 0, output);
+    assert.match(output, /Sink webhook: 1 replayed, 1 still failing/);
+    const lines = readLines(filePath);
+    assert.equal(lines.length, 2);
+    const left = JSON.parse(lines[0]);
+    assert.equal(left.record.headline, "Rejected");
+    assert.equal(left.attempts, 2);
+    assert.equal(lines[1], '{"sink":"webh');
+  } finally {
+    server.close();
+  }
+});
+
+test("a replay that cannot run exits with status 1", async () => {
+  const filePath = tempPath("dead-letters.ndjson");
+  createDeadLetterQueue(filePath).push("ftp", { headline: "Lost" }, "?");
+
+  const { status, output } = await replay(filePath);
+
+  assert.equal(status, 1);
+  assert.match(output, /Unknown sink "ftp"/);
+  assert.equal(readLines(filePath).length, 1);
+});
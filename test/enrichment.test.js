@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  ENRICHMENT_RULES,
+  loadEnrichmentRules,
+  tagArticle,
+  scoreSentiment,
+  enrichArticle,
+} from "../src/enrichment.js";
+
+test("tags match whole keywords from the dictionary", () => {
+  assert.deepEqual(
+    tagArticle(
+      "Infosys Q1 results: net profit beats estimates, interim dividend of Rs 17 declared",
+      ENRICHMENT_RULES.tags
+    ),
+    ["results", "dividend"]
+  );
+  assert.deepEqual(
+    tagArticle(
+      "Larsen & Toubro bags order worth Rs 2,500 crore",
+      ENRICHMENT_RULES.tags
+    ),
+    ["order_win"]
+  );
+  assert.deepEqual(
+    tagArticle("Promoter sells stake via block deal", ENRICHMENT_RULES.tags),
+    ["block_deal"]
+  );
+  // "contract" is not found inside "Contractors"
+  assert.deepEqual(tagArticle("Contractors upgraded", { x: ["contract"] }), []);
+});
+
+test("sentiment weighs the headline and flips negated words", () => {
+  const lexicon = ENRICHMENT_RULES.sentiment;
+
+  assert.deepEqual(
+    scoreSentiment("TCS shares surge after strong quarter", "", lexicon),
+    { score: 1, label: "positive", positive: 4, negative: 0 }
+  );
+  assert.equal(
+    scoreSentiment("Wipro slips", "Margins were not strong.", lexicon).label,
+    "negative"
+  );
+  assert.deepEqual(scoreSentiment("Board meeting on Friday", "", lexicon), {
+    score: 0,
+    label: "neutral",
+    positive: 0,
+    negative: 0,
+  });
+});
+
+test("enrichArticle adds tags and sentiment to the record", () => {
+  const record = enrichArticle(
+    {
+      headline: "Jefferies upgrades HDFC Bank, raises target price",
+      content: "The brokerage sees strong loan growth.",
+      symbol: "HDFCBANK",
+    },
+    ENRICHMENT_RULES
+  );
+
+  assert.equal(record.symbol, "HDFCBANK");
+  assert.deepEqual(record.tags, ["rating_change"]);
+  assert.equal(record.sentiment.label, "positive");
+});
+
+test("an enrichment override adds tags and keeps the rest", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "enrichment-"));
+  const override = path.join(dir, "enrichment.yaml");
+  fs.writeFileSync(
+    override,
+    "tags:\n  buyback:\n    - buyback\nsentiment:\n  threshold: 0.5\n"
+  );
+
+  const rules = loadEnrichmentRules(override);
+  assert.deepEqual(rules.tags.buyback, ["buyback"]);
+  assert.deepEqual(rules.tags.dividend, ENRICHMENT_RULES.tags.dividend);
+  assert.equal(rules.sentiment.threshold, 0.5);
+  assert.deepEqual(
+    rules.sentiment.positive,
+    ENRICHMENT_RULES.sentiment.positive
+  );
+
+  fs.writeFileSync(override, "tags:\n  buyback: buyback\n");
+  assert.throws(() => loadEnrichmentRules(override), /tag "buyback"/);
+});
@@ -0,0 +1,316 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { JSDOM } from "jsdom";
+import { SELECTOR_REGISTRY } from "../src/selectors.js";
+import { PAYWALL_RULES, loadPaywallRules } from "../src/paywall.js";
+import {
+  extractNewsCards,
+  classifyPaywall,
+  extractArticleBody,
+  extractArticleTickers,
+} from "../src/extract.js";
+
+// Fixture timestamps are relative to this instant
+const NOW = Date.parse("2025-07-01T12:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+const CARD_OPTIONS = {
+  now: NOW,
+  since: NOW - 3 * DAY,
+  headlinePhrases: PAYWALL_RULES.headlinePhrases,
+};
+
+const classify = (document) =>
+  classifyPaywall(document, PAYWALL_RULES, SELECTOR_REGISTRY.contentSelectors);
+const articleBody = (document) =>
+  extractArticleBody(
+    document,
+    SELECTOR_REGISTRY.contentSelectors,
+    PAYWALL_RULES.indicatorPhrases
+  );
+
+function loadFixture(name, url) {
+  const html = fs.readFileSync(
+    new URL(`./fixtures/${name}`, import.meta.url),
+    "utf8"
+  );
+  return new JSDOM(html, { url }).window.document;
+}
+
+const newsPage = () =>
+  loadFixture(
+    "symbol-news-nse-infy.html",
+    "https://in.tradingview.com/symbols/NSE-INFY/news/"
+  );
+
+test("extractNewsCards reads headline, provider, timestamp and link", () => {
+  const cards = extractNewsCards(
+    newsPage(),
+    SELECTOR_REGISTRY,
+    "INFY",
+    CARD_OPTIONS
+  );
+  const card = cards.find((c) => c.provider === "Reuters");
+
+  assert.deepEqual(card, {
+    headline: "Infosys wins multi-year deal with European lender",
+    provider: "Reuters",
+    timestamp: "2025-07-01T06:45:00.000Z",
+    rawTimestamp: "Tue, 01 Jul 2025 06:45:00 GMT",
+    link: "https://in.tradingview.com/news/reuters.com,2025:newsml_L4N3SX0AB:0-infosys-wins-multi-year-deal-with-european-lender/",
+    symbol: "INFY",
+    relatedSymbols: [],
+  });
+});
+
+test("extractNewsCards keeps each card once although anchor and article both match", () => {
+  const cards = extractNewsCards(
+    newsPage(),
+    SELECTOR_REGISTRY,
+    "INFY",
+    CARD_OPTIONS
+  );
+
+  assert.deepEqual(
+    cards.map((c) => c.headline),
+    [
+      "Infosys wins multi-year deal with European lender",
+      "IT stocks rally as Infosys, TCS gain on deal wins",
+    ]
+  );
+});
+
+test("extractNewsCards lists every ticker of multi-symbol cards and keeps the sheet symbol", () => {
+  const cards = extractNewsCards(
+    newsPage(),
+    SELECTOR_REGISTRY,
+    "INFY",
+    CARD_OPTIONS
+  );
+  const card = cards.find((c) => c.provider === "Moneycontrol");
+
+  assert.equal(card.symbol, "INFY");
+  assert.deepEqual(card.relatedSymbols, [
+    { exchange: "NSE", symbol: "INFY" },
+    { exchange: "NSE", symbol: "TCS" },
+  ]);
+  assert.equal(card.timestamp, "2025-06-30T14:20:00.000Z");
+});
+
+test("extractNewsCards drops exclusive headlines and cards published before the cut-off", () => {
+  const cards = extractNewsCards(
+    newsPage(),
+    SELECTOR_REGISTRY,
+    "INFY",
+    CARD_OPTIONS
+  );
+  const headlines = cards.map((c) => c.headline);
+
+  assert.ok(!headlines.includes("Sign in to read exclusive news"));
+  assert.ok(!headlines.includes("Infosys to hold annual general meeting"));
+
+  const sinceToday = extractNewsCards(newsPage(), SELECTOR_REGISTRY, "INFY", {
+    ...CARD_OPTIONS,
+    since: Date.parse("2025-07-01T00:00:00Z"),
+  });
+  assert.deepEqual(
+    sinceToday.map((c) => c.provider),
+    ["Reuters"]
+  );
+});
+
+test("extractNewsCards uses the sheet symbol when a card tags no tickers", () => {
+  const document = new JSDOM(
+    `<a href="/news/x/"><div data-overflow-tooltip-text="Headline"></div>
+      <time datetime="2025-07-01T10:00:00Z"></time></a>`,
+    { url: "https://www.tradingview.com/" }
+  ).window.document;
+
+  const [card] = extractNewsCards(
+    document,
+    SELECTOR_REGISTRY,
+    "INFY",
+    CARD_OPTIONS
+  );
+  assert.equal(card.symbol, "INFY");
+  assert.deepEqual(card.relatedSymbols, []);
+  assert.equal(card.provider, "Unknown");
+});
+
+test("free provider article is not treated as requiring login", () => {
+  const document = loadFixture(
+    "article-free-provider.html",
+    "https://www.tradingview.com/news/reuters.com,2025:newsml_L4N3SX0AB:0-infosys-wins-multi-year-deal-with-european-lender/"
+  );
+
+  assert.deepEqual(classify(document), {
+    paywalled: false,
+    reason: "free_provider",
+    confidence: 1,
+    score: -1,
+    signals: ["free_provider"],
+  });
+
+  const { content, source } = articleBody(document);
+  assert.equal(source, "selector");
+  assert.match(content, /^BENGALURU, July 1 \(Reuters\) - Infosys said/);
+  assert.match(content, /did not disclose the value of the deal\.$/);
+});
+
+test("article ticker chips are read from the article only", () => {
+  const document = loadFixture(
+    "article-free-provider.html",
+    "https://www.tradingview.com/news/reuters.com,2025:newsml_L4N3SX0AB:0-infosys-wins-multi-year-deal-with-european-lender/"
+  );
+
+  assert.deepEqual(
+    extractArticleTickers(document, SELECTOR_REGISTRY.tickerSelectors),
+    [
+      { exchange: "NSE", symbol: "INFY" },
+      { exchange: "NYSE", symbol: "INFY" },
+    ]
+  );
+});
+
+test("paywalled article is detected and yields no body", () => {
+  const document = loadFixture(
+    "article-paywalled.html",
+    "https://www.tradingview.com/news/mtnewswires.com:20250701:A1234:0/"
+  );
+
+  const verdict = classify(document);
+  assert.equal(verdict.paywalled, true);
+  assert.equal(verdict.reason, "paywalled_provider");
+  assert.equal(verdict.confidence, 1);
+  assert.deepEqual(verdict.signals, [
+    "paywalled_provider",
+    "indicator_phrase",
+    "paywall_dom",
+    "truncated_body",
+  ]);
+  assert.deepEqual(articleBody(document), {
+    content: null,
+    source: "restricted",
+  });
+});
+
+test("login and upgrade prompts outside the article do not count as a paywall", () => {
+  const document = loadFixture(
+    "article-header-login.html",
+    "https://www.tradingview.com/news/zeebusiness:9f2c1a7b0:0/"
+  );
+
+  assert.deepEqual(classify(document), {
+    paywalled: false,
+    reason: "no_signals",
+    confidence: 0.5,
+    score: 0,
+    signals: [],
+  });
+});
+
+test("an unknown provider is still caught by the paywall inside the article", () => {
+  const document = loadFixture(
+    "article-paywalled.html",
+    "https://www.tradingview.com/news/mtnewswires.com:20250701:A1234:0/"
+  );
+  const rules = { ...PAYWALL_RULES, knownPaywalledProviders: [] };
+
+  const verdict = classifyPaywall(
+    document,
+    rules,
+    SELECTOR_REGISTRY.contentSelectors
+  );
+  assert.equal(verdict.paywalled, true);
+  assert.equal(verdict.reason, "indicator_phrase");
+  assert.equal(verdict.confidence, 0.9);
+});
+
+test("paywall rule overrides are merged and validated", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "paywall-"));
+  const override = path.join(dir, "paywall.yaml");
+  fs.writeFileSync(
+    override,
+    "knownFreeProviders:\n  - Zee Business\nweights:\n  truncatedBody: 0.6\n"
+  );
+
+  const rules = loadPaywallRules(override);
+  assert.deepEqual(rules.knownFreeProviders, ["zee business"]);
+  assert.equal(rules.weights.truncatedBody, 0.6);
+  assert.equal(rules.weights.paywallDom, PAYWALL_RULES.weights.paywallDom);
+
+  fs.writeFileSync(override, "freeProviders: []\n");
+  assert.throws(() => loadPaywallRules(override), /Unknown paywall rule/);
+});
+
+test("article without a known body container falls back to the article element", () => {
+  const document = loadFixture(
+    "article-no-body-class.html",
+    "https://www.tradingview.com/news/marketscreener:abc123:0/"
+  );
+
+  assert.equal(classify(document).paywalled, false);
+
+  const { content, source } = articleBody(document);
+  assert.equal(source, "fallback");
+  assert.match(content, /Shares of Indian IT services companies rose/);
+  assert.doesNotMatch(content, /MarketScreener|IT stocks rally/);
+});
+
+test("article bodies keep their structure as HTML and Markdown without page chrome", () => {
+  const document = loadFixture(
+    "article-structured.html",
+    "https://www.tradingview.com/news/bsmedia:7c1d2e3f4:0-infosys-q1-results-key-numbers/?utm_source=x"
+  );
+
+  const article = articleBody(document);
+  assert.equal(article.source, "selector");
+  assert.equal(
+    article.canonicalUrl,
+    "https://www.tradingview.com/news/bsmedia:7c1d2e3f4:0-infosys-q1-results-key-numbers/"
+  );
+  assert.equal(article.author, "Priya Raman");
+  assert.equal(
+    article.imageUrl,
+    "https://s3.tradingview.com/news/image/bsmedia-7c1d2e3f4-big.jpg"
+  );
+
+  assert.match(
+    article.html,
+    /^<p>Infosys reported a <strong>8\.7% rise<\/strong> in net profit/
+  );
+  assert.match(
+    article.html,
+    /<a href="https:\/\/www\.infosys\.com\/investors\/[^"]+">filing<\/a>/
+  );
+  assert.match(
+    article.html,
+    /<ul><li>Revenue up 7\.5% year on year<\/li><li>Large deal wins of \$3\.8 billion<ul><li>57% net new<\/li><\/ul><\/li><\/ul>/
+  );
+  assert.match(
+    article.html,
+    /<tr><td>Revenue \(Rs cr\)<\/td><td>42,279<\/td><\/tr>/
+  );
+  assert.match(
+    article.html,
+    /<p>Shares closed 1\.2% higher ahead of the results\.<\/p>$/
+  );
+  assert.doesNotMatch(
+    article.html,
+    /class=|<script|trackArticle|Tweet|TCS Q1|provided under license|Key numbers/i
+  );
+
+  assert.match(article.markdown, /\[filing\]\(https:\/\/www\.infosys\.com\//);
+  assert.match(
+    article.markdown,
+    /- Revenue up 7\.5% year on year\n- Large deal wins of \$3\.8 billion\n  - 57% net new/
+  );
+  assert.match(
+    article.markdown,
+    /\| Metric \| Q1 FY26 \|\n\| --- \| --- \|\n\| Revenue \(Rs cr\) \| 42,279 \|/
+  );
+  assert.match(article.content, /^Infosys reported a 8\.7% rise in net profit/);
+  assert.match(article.content, /Read the filing for details\./);
+});
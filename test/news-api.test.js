@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import {
+  symbolFromNewsUrl,
+  astToText,
+  astToHtml,
+  createNewsApiClient,
+} from "../src/news-api.js";
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8")
+  );
+}
+
+test("reads the symbol from a news page URL", () => {
+  assert.equal(
+    symbolFromNewsUrl("https://in.tradingview.com/symbols/NSE-INFY/news/"),
+    "NSE:INFY"
+  );
+  assert.equal(
+    symbolFromNewsUrl("https://www.tradingview.com/symbols/nyse-brk.b/news/"),
+    "NYSE:BRK.B"
+  );
+  assert.equal(
+    symbolFromNewsUrl("https://www.tradingview.com/symbols/M%26M/?tab=news"),
+    "M&M"
+  );
+  assert.equal(symbolFromNewsUrl("https://www.tradingview.com/news/"), null);
+  assert.equal(symbolFromNewsUrl(undefined), null);
+});
+
+test("turns a story tree into plain text", () => {
+  const { astDescription } = loadFixture("api-story-structured.json");
+
+  assert.equal(
+    astToText(astDescription),
+    "BENGALURU (Reuters) - Infosys said on Tuesday it had won a five-year deal worth $1.5 billion.\n\n" +
+      "Deal details\n\n" +
+      "Cloud migration & support\n\n" +
+      "Starts in <October>\n\n" +
+      "Read the press release or the filing.\nNYSE:INFY\n\n"
+  );
+  assert.equal(astToText(null), "");
+});
+
+test("turns a story tree into sanitised HTML", () => {
+  const { astDescription } = loadFixture("api-story-structured.json");
+
+  assert.equal(
+    astToHtml(astDescription),
+    "<p>BENGALURU (Reuters) - Infosys said on Tuesday it had won a five-year deal worth $1.5 billion.</p>" +
+      "<h2>Deal details</h2>" +
+      "<ul><li>Cloud migration &amp; support</li><li>Starts in &lt;October&gt;</li></ul>" +
+      '<p>Read the <a href="https://www.infosys.com/newsroom.html">press release</a> or the filing.<br>NYSE:INFY</p>'
+  );
+});
+
+test("skips headlines without a publish time and keeps the rest", async () => {
+  const headlines = loadFixture("api-headlines-nse-infy.json");
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(headlines));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const client = createNewsApiClient({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      lang: "en",
+      userAgent: "test",
+      throttle: { run: (url, task) => task() },
+      retry: { retries: 0 },
+    });
+    const cards = await client.fetchHeadlines("NSE:INFY");
+
+    assert.deepEqual(
+      cards.map((card) => card.headline),
+      [
+        "Infosys wins large deal from European bank",
+        "Infosys to announce Q1 results on July 17",
+      ]
+    );
+    assert.equal(cards[0].timestamp, "2025-07-01T08:00:00.000Z");
+    assert.equal(cards[0].provider, "reuters");
+    assert.equal(
+      cards[0].link,
+      "https://www.tradingview.com/news/reuters.com,2025:newsml_L1N3T0001:0-infosys-wins-large-deal/"
+    );
+    assert.equal(cards[0].relatedSymbols.length, 2);
+    assert.equal(cards[1].provider, "Zacks");
+    assert.equal(
+      cards[1].link,
+      "https://www.zacks.com/stock/news/1003/infosys-q1-date"
+    );
+  } finally {
+    server.close();
+  }
+});
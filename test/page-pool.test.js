@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPagePool } from "../src/page-pool.js";
+
+// A browser whose tabs only know whether they are closed
+function fakeBrowser({ failFirst = false } = {}) {
+  const pages = [];
+  let calls = 0;
+  return {
+    pages,
+    async newPage() {
+      if (failFirst && calls++ === 0) throw new Error("Target closed");
+      let closed = false;
+      const page = {
+        id: pages.length,
+        isClosed: () => closed,
+        close: async () => {
+          closed = true;
+        },
+      };
+      pages.push(page);
+      return page;
+    },
+  };
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test("opens at most `size` pages, set up once and then reused", async () => {
+  const browser = fakeBrowser();
+  const setUp = [];
+  const pool = createPagePool(browser, {
+    size: 2,
+    setupPage: async (page) => setUp.push(page.id),
+  });
+
+  const gates = [];
+  let busy = 0;
+  let peak = 0;
+  const used = [];
+  const tasks = [0, 1, 2, 3, 4].map(() =>
+    pool.use(async (page) => {
+      used.push(page.id);
+      peak = Math.max(peak, ++busy);
+      await new Promise((resolve) => gates.push(resolve));
+      busy--;
+    })
+  );
+  for (let i = 0; i < 5; i++) {
+    await settle();
+    gates.shift()?.();
+  }
+  await Promise.all(tasks);
+
+  assert.equal(browser.pages.length, 2);
+  assert.deepEqual(setUp, [0, 1]);
+  assert.equal(peak, 2);
+  assert.deepEqual([...new Set(used)].sort(), [0, 1]);
+});
+
+test("a failing task gives its page back for the next one", async () => {
+  const browser = fakeBrowser();
+  const pool = createPagePool(browser, { size: 1, setupPage: async () => {} });
+
+  await assert.rejects(
+    pool.use(async () => {
+      throw new Error("Navigation timeout");
+    }),
+    /Navigation timeout/
+  );
+  assert.equal(await pool.use(async (page) => page.id), 0);
+  assert.equal(browser.pages.length, 1);
+});
+
+test("closed pages and failed page setups do not use up the pool", async () => {
+  const browser = fakeBrowser({ failFirst: true });
+  const pool = createPagePool(browser, { size: 1, setupPage: async () => {} });
+
+  await assert.rejects(
+    pool.use(async () => {}),
+    /Target closed/
+  );
+  // The page the task closed is replaced by a fresh one
+  await pool.use(async (page) => page.close());
+  assert.equal(await pool.use(async (page) => page.id), 1);
+
+  await pool.close();
+  assert.ok(browser.pages.every((page) => page.isClosed()));
+});
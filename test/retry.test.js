@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isRetryableHttpError, retryAfterMs, withRetry } from "../src/retry.js";
+
+const NOW = Date.parse("2025-07-01T12:00:00Z");
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), {
+    response: { status, headers },
+  });
+
+test("reads Retry-After as seconds or as an HTTP date", (t) => {
+  t.mock.method(Date, "now", () => NOW);
+
+  assert.equal(retryAfterMs(httpError(429, { "retry-after": "3" })), 3000);
+  assert.equal(
+    retryAfterMs(
+      httpError(503, { "retry-after": new Date(NOW + 5000).toUTCString() })
+    ),
+    5000
+  );
+  // A date already past means now
+  assert.equal(
+    retryAfterMs(
+      httpError(503, { "retry-after": "Mon, 30 Jun 2025 00:00:00 GMT" })
+    ),
+    0
+  );
+  assert.equal(retryAfterMs(httpError(503, { "retry-after": "soon" })), null);
+  assert.equal(retryAfterMs(httpError(503)), null);
+});
+
+test("only timeouts, dropped connections, 429 and 5xx are retried", () => {
+  assert.equal(isRetryableHttpError(httpError(429)), true);
+  assert.equal(isRetryableHttpError(httpError(502)), true);
+  assert.equal(isRetryableHttpError(httpError(400)), false);
+  assert.equal(isRetryableHttpError(httpError(404)), false);
+  assert.equal(
+    isRetryableHttpError(
+      Object.assign(new Error("reset"), { code: "ECONNRESET" })
+    ),
+    true
+  );
+  assert.equal(isRetryableHttpError(new Error("bad payload")), false);
+});
+
+// Waits are random up to a cap; with Math.random at 0 every wait is 0 ms
+function attempts(t, errors) {
+  t.mock.method(Math, "random", () => 0);
+  t.mock.method(console, "log", () => {});
+  const calls = [];
+  const fn = async (attempt) => {
+    calls.push(attempt);
+    const error = errors[attempt];
+    if (error) throw error;
+    return "done";
+  };
+  return { calls, fn };
+}
+
+test("retries 429 and 5xx until the request succeeds", async (t) => {
+  const { calls, fn } = attempts(t, [
+    httpError(429, { "retry-after": "0" }),
+    httpError(503),
+  ]);
+
+  assert.equal(await withRetry(fn, { retries: 3, maxDelayMs: 10 }), "done");
+  assert.deepEqual(calls, [0, 1, 2]);
+});
+
+test("gives up at once on other 4xx", async (t) => {
+  const { calls, fn } = attempts(t, [httpError(422)]);
+
+  await assert.rejects(withRetry(fn, { retries: 3 }), /HTTP 422/);
+  assert.deepEqual(calls, [0]);
+});
+
+test("throws the last error once the retries are used up", async (t) => {
+  const { calls, fn } = attempts(t, [
+    httpError(500),
+    httpError(502),
+    httpError(504),
+    httpError(500),
+  ]);
+
+  await assert.rejects(
+    withRetry(fn, { retries: 2, maxDelayMs: 10 }),
+    /HTTP 504/
+  );
+  assert.deepEqual(calls, [0, 1, 2]);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRunReport } from "../src/run-report.js";
+
+function sampleReport() {
+  const report = createRunReport({
+    runId: "123",
+    shard: { index: 1, count: 5, strategy: "hash" },
+    fetchMode: "auto",
+  });
+
+  const infy = report.startStock({
+    Symbol: "INFY",
+    "Stock name": "Infosys",
+    link: "https://www.tradingview.com/symbols/NSE-INFY/news/",
+  });
+  infy.pageLoaded("api", 3);
+  ["stored", "stored"].forEach((o) => infy.count(o));
+  infy.count("paywalled", "paywall_dom");
+  infy.finish();
+
+  const tcs = report.startStock({ Symbol: "TCS", link: "https://x/" });
+  tcs.pageFailed("timeout");
+  tcs.finish();
+
+  report.attach("sinks", [{ name: "wordpress", succeeded: 2, failed: 0 }]);
+  return report;
+}
+
+test("totals add up per-stock outcomes and page loads", () => {
+  const { totals, stocks } = sampleReport().toJSON();
+
+  assert.equal(totals.stocks, 2);
+  assert.equal(totals.pagesLoaded, 1);
+  assert.equal(totals.pagesFailed, 1);
+  assert.equal(totals.cardsFound, 3);
+  assert.equal(totals.outcomes.stored, 2);
+  assert.equal(totals.outcomes.paywalled, 1);
+  assert.deepEqual(totals.skipReasons, { paywall_dom: 1 });
+  assert.equal(stocks[1].error, "timeout");
+});
+
+test("Prometheus output labels every sample with the shard", () => {
+  const text = sampleReport().toPrometheus();
+
+  assert.match(text, /# TYPE tradingview_scraper_articles gauge/);
+  // Per-run snapshots are gauges, so no name carries the counter suffix
+  assert.doesNotMatch(text, /_total\b/);
+  assert.match(
+    text,
+    /tradingview_scraper_articles\{shard="1",outcome="stored"\} 2/
+  );
+  assert.match(
+    text,
+    /tradingview_scraper_sink_writes\{shard="1",sink="wordpress",result="ok"\} 2/
+  );
+  assert.match(
+    text,
+    /tradingview_scraper_skip_reasons\{shard="1",reason="paywall_dom"\} 1/
+  );
+});
+
+test("Markdown summary lists only stocks that need attention", () => {
+  const markdown = sampleReport().toMarkdown();
+
+  assert.match(markdown, /shard 2\/5/);
+  assert.match(markdown, /Stocks needing attention \(1\)/);
+  assert.match(markdown, /\| TCS \| failed \| 0 \| 0 \| 0 \| timeout \|/);
+  assert.doesNotMatch(markdown, /\| INFY \|/);
+});
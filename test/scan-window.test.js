@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { resolveScanWindow } from "../src/scan-window.js";
+import { ConfigError } from "../src/config-schema.js";
+import { loadSeenStore } from "../src/seen-store.js";
+
+const NOW = Date.parse("2025-07-01T12:00:00Z");
+
+test("incremental runs continue from the watermark with an overlap", () => {
+  const window = resolveScanWindow([], {}, NOW);
+
+  assert.equal(window.mode, "incremental");
+  assert.equal(
+    window.sinceFor("2025-07-01T08:00:00.000Z").toISOString(),
+    "2025-07-01T07:00:00.000Z"
+  );
+  // A symbol without a mark goes back LOOKBACK_DAYS (1 by default)
+  assert.equal(window.sinceFor(null).toISOString(), "2025-06-30T12:00:00.000Z");
+});
+
+test("--since and --backfill override the watermark", () => {
+  const since = resolveScanWindow(["--since", "2025-06-15"], {}, NOW);
+  assert.equal(since.mode, "since");
+  assert.equal(
+    since.sinceFor("2025-07-01T08:00:00.000Z").toISOString(),
+    "2025-06-15T00:00:00.000Z"
+  );
+
+  assert.equal(
+    resolveScanWindow(["--since=36h"], {}, NOW).sinceFor(null).toISOString(),
+    "2025-06-30T00:00:00.000Z"
+  );
+
+  const backfill = resolveScanWindow([], { backfillDays: 7 }, NOW);
+  assert.equal(backfill.mode, "backfill");
+  assert.equal(
+    backfill.sinceFor("2025-07-01T08:00:00.000Z").toISOString(),
+    "2025-06-24T12:00:00.000Z"
+  );
+
+  assert.throws(
+    () => resolveScanWindow(["--since", "2d", "--backfill", "3"], {}, NOW),
+    /either --since or --backfill/
+  );
+  assert.throws(
+    () => resolveScanWindow(["--since", "last week"], {}, NOW),
+    (error) =>
+      error instanceof ConfigError && /Invalid --since/.test(error.message)
+  );
+  assert.throws(
+    () => resolveScanWindow(["--backfill", "3x"], {}, NOW),
+    (error) =>
+      error instanceof ConfigError &&
+      /Invalid --backfill "3x"/.test(error.message)
+  );
+});
+
+test("watermarks only move forward and survive a save", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "seen-"));
+  const store = loadSeenStore({ dir, shard: 0 });
+
+  store.advanceWatermark("infy", "2025-07-01T08:00:00.000Z");
+  store.advanceWatermark("INFY", "2025-06-30T08:00:00.000Z");
+  assert.equal(store.watermark("INFY"), "2025-07-01T08:00:00.000Z");
+  store.save();
+
+  // Another shard's file with an older mark does not pull it back
+  fs.writeFileSync(
+    path.join(dir, "shard-1.json"),
+    JSON.stringify({
+      entries: [],
+      watermarks: {
+        INFY: "2025-06-01T00:00:00.000Z",
+        TCS: "2025-06-30T00:00:00.000Z",
+      },
+    })
+  );
+  const reloaded = loadSeenStore({ dir, shard: 0 });
+  assert.equal(reloaded.watermark("INFY"), "2025-07-01T08:00:00.000Z");
+  assert.equal(reloaded.watermark("TCS"), "2025-06-30T00:00:00.000Z");
+  assert.equal(reloaded.watermark("WIPRO"), null);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  canonicalArticleUrl,
+  loadSeenStore,
+  publishedArticleUrl,
+} from "../src/seen-store.js";
+import { minhashSignature } from "../src/clusters.js";
+
+const LINK =
+  "https://in.tradingview.com/news/reuters.com,2025:newsml_L4N3SX0AB:0-Infosys-Wins-Deal/?utm_source=feed&utm_medium=rss&page=2";
+
+test("published URLs keep the path as is and drop only tracking parameters", () => {
+  assert.equal(
+    publishedArticleUrl(LINK),
+    "https://in.tradingview.com/news/reuters.com,2025:newsml_L4N3SX0AB:0-Infosys-Wins-Deal/?page=2"
+  );
+  assert.equal(
+    publishedArticleUrl("https://www.tradingview.com/news/abc:0-Story"),
+    "https://www.tradingview.com/news/abc:0-Story"
+  );
+});
+
+test("the ledger key folds hosts, case and parameters together", () => {
+  assert.equal(
+    canonicalArticleUrl(LINK),
+    "https://www.tradingview.com/news/reuters.com,2025:newsml_l4n3sx0ab:0-infosys-wins-deal/"
+  );
+});
+
+test("the saved ledger is compact and packs signatures", (t) => {
+  t.mock.method(console, "log", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "seen-"));
+  const signature = minhashSignature(
+    "Infosys wins deal",
+    "Infosys said on Tuesday it had won a multi-year deal."
+  );
+  const store = loadSeenStore({ dir });
+  store.record(LINK, "abc", { symbol: "INFY", signature });
+  store.record("https://www.tradingview.com/news/no-signature/", "def");
+  store.save();
+
+  const text = fs.readFileSync(path.join(dir, "shard-0.json"), "utf8");
+  assert.doesNotMatch(text, /\n/);
+  const [saved] = JSON.parse(text).entries;
+  // 256 bytes in base64, where the numbers took about 700 characters
+  assert.equal(saved.signature.length, 344);
+
+  const [reloaded, unsigned] = loadSeenStore({ dir }).entries();
+  assert.deepEqual(reloaded.signature, signature);
+  assert.equal(unsigned.signature, undefined);
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { JSDOM } from "jsdom";
+import { loadSelectorRegistry, SELECTOR_REGISTRY } from "../src/selectors.js";
+import { countSelectorMatches, extractNewsCards } from "../src/extract.js";
+import { createSelectorHealth } from "../src/selector-health.js";
+import { ConfigError } from "../src/config-schema.js";
+
+function writeTemp(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "selectors-"));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+test("an override file replaces only the lists it names", () => {
+  const defaults = loadSelectorRegistry();
+  const registry = loadSelectorRegistry(
+    writeTemp("override.yaml", "contentSelectors:\n  - 'div.story-body'\n")
+  );
+
+  assert.deepEqual(registry.contentSelectors, ["div.story-body"]);
+  assert.deepEqual(registry.articleSelectors, defaults.articleSelectors);
+});
+
+test("an override with an unknown or empty list is rejected", () => {
+  assert.throws(
+    () =>
+      loadSelectorRegistry(writeTemp("bad.json", '{"cardSelectors": ["a"]}')),
+    /Unknown selector list "cardSelectors"/
+  );
+  assert.throws(
+    () =>
+      loadSelectorRegistry(writeTemp("empty.json", '{"timeSelectors": []}')),
+    /"timeSelectors" must be a non-empty string array/
+  );
+  assert.throws(
+    () => loadSelectorRegistry(writeTemp("broken.json", '{"timeSelectors": [')),
+    (error) =>
+      error instanceof ConfigError &&
+      /Cannot read .*broken\.json/.test(error.message)
+  );
+  assert.throws(
+    () =>
+      loadSelectorRegistry(
+        writeTemp("mixed.yaml", "timeSelectors: [time, 3]\n")
+      ),
+    ConfigError
+  );
+});
+
+test("a malformed override stops the CLI with a message, not a stack trace", () => {
+  const result = spawnSync(
+    process.execPath,
+    [fileURLToPath(new URL("../index.js", import.meta.url)), "--print-config"],
+    {
+      encoding: "utf8",
+      env: {
+        ...process.env,
+        SELECTORS_FILE: writeTemp("bad.json", '{"cardSelectors": ["a"]}'),
+      },
+    }
+  );
+
+  assert.equal(result.status, 2);
+  assert.match(
+    result.stderr,
+    /scraper\.selectorsFile \(SELECTORS_FILE\): Unknown selector list "cardSelectors"/
+  );
+  assert.doesNotMatch(result.stderr, /\n\s+at /);
+  assert.equal(result.stdout, "");
+});
+
+test("selector health counts hits and reports lists that matched nothing", () => {
+  const lists = {
+    articleSelectors: ["article", "tr.row"],
+    timeSelectors: ["time.never"],
+  };
+  const { document } = new JSDOM(
+    "<article></article><article><time></time></article>"
+  ).window;
+
+  const health = createSelectorHealth(lists);
+  health.record(countSelectorMatches(document, lists));
+  health.record(countSelectorMatches(document, lists));
+
+  const report = health.report();
+  assert.equal(health.totalHits("articleSelectors"), 4);
+  assert.deepEqual(report.lists[0].selectors, [
+    { selector: "article", hits: 4 },
+    { selector: "tr.row", hits: 0 },
+  ]);
+  assert.deepEqual(report.deadLists, ["timeSelectors"]);
+});
+
+test("a page whose only news link is the header's reads no cards", () => {
+  const html = fs.readFileSync(
+    new URL("./fixtures/symbol-news-header-only.html", import.meta.url),
+    "utf8"
+  );
+  const { document } = new JSDOM(html, {
+    url: "https://in.tradingview.com/symbols/NSE-INFY/news/",
+  }).window;
+  const { contentSelectors, ...cardSelectors } = SELECTOR_REGISTRY;
+
+  const health = createSelectorHealth(cardSelectors);
+  health.record(countSelectorMatches(document, cardSelectors));
+  health.recordCards(
+    extractNewsCards(document, SELECTOR_REGISTRY, "INFY", { now: Date.now() })
+      .length
+  );
+
+  // The header link matches the article selectors, yet no card is read
+  assert.ok(health.totalHits("articleSelectors") > 0);
+  assert.deepEqual(health.report().cards, { pagesChecked: 1, found: 0 });
+});
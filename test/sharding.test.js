@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveShardOptions,
+  selectShard,
+  shardForSymbol,
+} from "../src/sharding.js";
+import { ConfigError } from "../src/config-schema.js";
+
+const stocks = (symbols) =>
+  symbols.map((symbol) => ({
+    Symbol: symbol,
+    link: `https://www.tradingview.com/symbols/NSE-${symbol}/news/`,
+  }));
+
+const WATCHLIST = stocks([
+  "INFY",
+  "TCS",
+  "WIPRO",
+  "HCLTECH",
+  "TECHM",
+  "RELIANCE",
+  "HDFCBANK",
+  "ICICIBANK",
+  "SBIN",
+  "ITC",
+  "LT",
+]);
+
+// Symbols of every shard, in shard order
+const shards = (list, count, strategy) =>
+  Array.from({ length: count }, (_, index) =>
+    selectShard(list, { index, count, strategy }).map((s) => s.Symbol)
+  );
+
+test("flags override the configured shard and default to one shard", () => {
+  assert.deepEqual(resolveShardOptions([]), {
+    index: 0,
+    count: 1,
+    strategy: "hash",
+  });
+  assert.deepEqual(
+    resolveShardOptions(["--shard-index", "2", "--shard-count=4"], {
+      index: 0,
+      count: 2,
+      strategy: "range",
+    }),
+    { index: 2, count: 4, strategy: "range" }
+  );
+});
+
+test("out-of-range and malformed shard settings are rejected", () => {
+  const rejects = (argv, defaults, pattern) =>
+    assert.throws(
+      () => resolveShardOptions(argv, defaults),
+      (error) => error instanceof ConfigError && pattern.test(error.message)
+    );
+
+  rejects(
+    ["--shard-index", "4", "--shard-count", "4"],
+    {},
+    /out of range.*0 to 3/
+  );
+  rejects(["--shard-index", "-1", "--shard-count", "4"], {}, /out of range/);
+  rejects(["--shard-index", "1.5", "--shard-count", "4"], {}, /"1.5"/);
+  rejects([], { index: 2, count: 2 }, /out of range/);
+  rejects(["--shard-count", "0"], {}, /Invalid shard count "0"/);
+  rejects(["--shard-count", "two"], {}, /Invalid shard count "two"/);
+  rejects(["--shard-strategy", "modulo"], {}, /Unknown shard strategy/);
+});
+
+test("hash shards cover every row once and keep rows where they were", () => {
+  const before = shards(WATCHLIST, 3, "hash");
+  assert.deepEqual(before.flat().sort(), WATCHLIST.map((s) => s.Symbol).sort());
+
+  // Rows inserted and reordered in the sheet move no existing stock
+  const edited = [...stocks(["BAJFINANCE"]), ...WATCHLIST.slice().reverse()];
+  edited.splice(5, 0, ...stocks(["MARUTI", "ASIANPAINT"]));
+  const after = shards(edited, 3, "hash");
+  for (const { Symbol } of WATCHLIST) {
+    assert.equal(
+      after.findIndex((shard) => shard.includes(Symbol)),
+      before.findIndex((shard) => shard.includes(Symbol)),
+      Symbol
+    );
+  }
+
+  assert.equal(shardForSymbol(" infy ", 3), shardForSymbol("INFY", 3));
+});
+
+test("range shards cover every row exactly once for any shard count", () => {
+  for (let length = 0; length <= WATCHLIST.length; length++) {
+    const list = WATCHLIST.slice(0, length);
+    for (let count = 1; count <= 6; count++) {
+      assert.deepEqual(
+        shards(list, count, "range").flat(),
+        list.map((s) => s.Symbol),
+        `${length} rows in ${count} shards`
+      );
+    }
+  }
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rowStatus } from "../src/sheet-status.js";
+import { columnLetter } from "../src/stock-sources/google-sheet.js";
+
+const NOW = Date.parse("2025-07-01T12:00:00Z");
+
+test("columnLetter goes past Z", () => {
+  assert.equal(columnLetter(0), "A");
+  assert.equal(columnLetter(25), "Z");
+  assert.equal(columnLetter(26), "AA");
+  assert.equal(columnLetter(27), "AB");
+  assert.equal(columnLetter(701), "ZZ");
+  assert.equal(columnLetter(702), "AAA");
+});
+
+test("rowStatus flags errors and symbols without recent news", () => {
+  const status = (fields) => rowStatus({ staleDays: 7, now: NOW, ...fields });
+
+  assert.equal(status({ error: "timeout" }), "ERROR");
+  assert.equal(status({ lastNewsAt: "2025-06-30T09:00:00.000Z" }), "OK");
+  assert.equal(
+    status({ lastNewsAt: "2025-06-01T09:00:00.000Z" }),
+    "NO NEWS 7D+"
+  );
+  assert.equal(status({ lastNewsAt: "" }), "NO NEWS 7D+");
+});
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createStoryClusters, minhashSignature } from "../src/clusters.js";
+import { wordPressPayload } from "../src/sinks/wordpress.js";
+import { RECORD_COLUMNS, recordRow } from "../src/sinks/columns.js";
+import { createCsvSink } from "../src/sinks/file.js";
+import { createSqliteSink } from "../src/sinks/sqlite.js";
+import { openArticleStore } from "../src/article-store.js";
+
+const BODY =
+  "Infosys said on Tuesday it had won a multi-year digital transformation deal from a European lender, adding to a string of large contracts announced this quarter.";
+
+const story = (overrides) => ({
+  headline: "Infosys wins multi-year deal with European lender",
+  content: BODY,
+  symbol: "INFY",
+  provider: "Reuters",
+  timestamp: "2025-07-01T06:45:00.000Z",
+  date: "2025-07-01",
+  ...overrides,
+});
+
+// Two syndicated copies of one story, clustered the way processArticle does
+function clusteredPair() {
+  const clusters = createStoryClusters({ threshold: 0.5, windowHours: 48 });
+  const records = [
+    story({
+      canonicalUrl: "https://www.tradingview.com/news/reuters:0-Infosys-Deal/",
+    }),
+    story({
+      provider: "MarketScreener",
+      timestamp: "2025-07-01T07:10:00.000Z",
+      canonicalUrl: "https://www.tradingview.com/news/ms:1-Infosys-Deal/",
+    }),
+  ];
+  for (const record of records) {
+    record.cluster = clusters.assign({
+      url: record.canonicalUrl.toLowerCase(),
+      sourceUrl: record.canonicalUrl,
+      headline: record.headline,
+      provider: record.provider,
+      timestamp: record.timestamp,
+      signature: minhashSignature(record.headline, record.content),
+    });
+  }
+  return records;
+}
+
+test("WordPress posts name their cluster and its canonical story", () => {
+  const [canonical, alternate] = clusteredPair().map(wordPressPayload);
+
+  assert.equal(canonical.IsCanonical, true);
+  assert.equal(canonical.CanonicalUrl, canonical.SourceUrl);
+  assert.equal(alternate.IsCanonical, false);
+  assert.equal(alternate.ClusterId, canonical.ClusterId);
+  // The published link of the canonical story, not its ledger key
+  assert.equal(
+    alternate.CanonicalUrl,
+    "https://www.tradingview.com/news/reuters:0-Infosys-Deal/"
+  );
+});
+
+test("sheet rows and CSV lines carry the cluster columns", async () => {
+  const [canonical, alternate] = clusteredPair();
+
+  assert.deepEqual(recordRow(alternate).slice(-3), [
+    canonical.cluster.id,
+    false,
+    canonical.canonicalUrl,
+  ]);
+
+  const filePath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "sinks-")),
+    "articles.csv"
+  );
+  const sink = createCsvSink({ filePath });
+  await sink.write(canonical);
+  await sink.write(alternate);
+
+  const [header, ...rows] = fs
+    .readFileSync(filePath, "utf8")
+    .trim()
+    .split("\n");
+  assert.equal(header, RECORD_COLUMNS.join(","));
+  assert.match(
+    header,
+    /,sentimentScore,clusterId,isCanonical,clusterCanonicalUrl$/
+  );
+  assert.ok(
+    rows[0].endsWith(`,${canonical.cluster.id},true,${canonical.canonicalUrl}`)
+  );
+  assert.ok(
+    rows[1].endsWith(`,${canonical.cluster.id},false,${canonical.canonicalUrl}`)
+  );
+});
+
+test("a CSV file with older columns is moved aside, not appended to", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sinks-"));
+  const filePath = path.join(dir, "articles.csv");
+  const oldLines = "date,timestamp,symbol,headline\n2025-06-30,,INFY,Old\n";
+  fs.writeFileSync(filePath, oldLines);
+
+  const sink = createCsvSink({ filePath });
+  const [canonical, alternate] = clusteredPair();
+  await sink.write(canonical);
+  await sink.write(alternate);
+
+  const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+  assert.equal(lines[0], RECORD_COLUMNS.join(","));
+  assert.equal(lines.length, 3);
+  const [aside] = fs.readdirSync(dir).filter((name) => name !== "articles.csv");
+  assert.match(aside, /^articles\..+\.csv$/);
+  assert.equal(fs.readFileSync(path.join(dir, aside), "utf8"), oldLines);
+  assert.equal(console.warn.mock.calls.length, 1);
+});
+
+test("the SQLite sink opens its store once, on the first write", async () => {
+  const filePath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "sinks-")),
+    "articles.db"
+  );
+  const sink = createSqliteSink({ filePath });
+  assert.equal(fs.existsSync(filePath), false);
+
+  const [canonical, alternate] = clusteredPair().map((record, i) => ({
+    ...record,
+    articleId: `article-${i}`,
+  }));
+  await Promise.all([sink.write(canonical), sink.write(alternate)]);
+  await sink.saveRun({ runId: "7", shard: { index: 0, count: 1 } });
+
+  const store = openArticleStore(filePath, { readOnly: true });
+  assert.equal(store.queryArticles({ symbol: "INFY" }).length, 2);
+  assert.equal(store.getRun("7").length, 1);
+  store.close();
+});
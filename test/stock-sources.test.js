@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadStocks } from "../src/stock-sources/index.js";
+import { parseCsv } from "../src/stock-sources/file.js";
+
+const baseUrl = "https://www.tradingview.com";
+
+function writeTemp(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stocks-"));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+test("parseCsv handles quoted commas, quotes and CRLF line endings", () => {
+  const rows = parseCsv(
+    'Symbol,Stock name\r\nINFY,"Infosys, Ltd"\r\nM&M,"Mahindra ""M&M"""\r\n'
+  );
+  assert.deepEqual(rows, [
+    { Symbol: "INFY", "Stock name": "Infosys, Ltd" },
+    { Symbol: "M&M", "Stock name": 'Mahindra "M&M"' },
+  ]);
+});
+
+test("CSV rows keep Scrap_Link or derive it from the exchange", async () => {
+  const filePath = writeTemp(
+    "stocks.csv",
+    [
+      "Symbol,Stock name,Scrap_Link,Exchange",
+      "INFY,Infosys,https://in.tradingview.com/symbols/NSE-INFY/news/,",
+      "TCS,Tata Consultancy,,NSE",
+      "NOLINK,No link,,",
+    ].join("\n")
+  );
+
+  const stocks = await loadStocks({ type: "file", filePath, baseUrl });
+  assert.deepEqual(stocks, [
+    {
+      Symbol: "INFY",
+      "Stock name": "Infosys",
+      link: "https://in.tradingview.com/symbols/NSE-INFY/news/",
+    },
+    {
+      Symbol: "TCS",
+      "Stock name": "Tata Consultancy",
+      link: "https://www.tradingview.com/symbols/NSE-TCS/news/",
+    },
+  ]);
+});
+
+test("JSON files accept EXCHANGE:SYMBOL values", async () => {
+  const filePath = writeTemp(
+    "stocks.json",
+    JSON.stringify([{ Symbol: "BSE:500325", "Stock name": "Reliance" }])
+  );
+
+  const [stock] = await loadStocks({ type: "file", filePath, baseUrl });
+  assert.equal(stock.Symbol, "500325");
+  assert.equal(
+    stock.link,
+    "https://www.tradingview.com/symbols/BSE-500325/news/"
+  );
+});
+
+test("symbol lists derive news URLs and drop duplicates and comments", async () => {
+  const stocks = await loadStocks({
+    type: "symbols",
+    symbols: "nse:infy, NSE:TCS\nNSE:INFY # again",
+    baseUrl,
+  });
+
+  assert.deepEqual(
+    stocks.map((s) => s.link),
+    [
+      "https://www.tradingview.com/symbols/NSE-INFY/news/",
+      "https://www.tradingview.com/symbols/NSE-TCS/news/",
+    ]
+  );
+});
+
+test("unknown sources and malformed pairs are errors", async () => {
+  await assert.rejects(loadStocks({ type: "ftp" }), /Unknown stock source/);
+  await assert.rejects(
+    loadStocks({ type: "symbols", symbols: "INFY", baseUrl }),
+    /Expected an EXCHANGE:SYMBOL pair/
+  );
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTicker, mergeTickers } from "../src/tickers.js";
+
+test("parseTicker reads pairs, symbol paths and full URLs", () => {
+  assert.deepEqual(parseTicker("nse:infy"), {
+    exchange: "NSE",
+    symbol: "INFY",
+  });
+  assert.deepEqual(parseTicker("/symbols/NSE-BAJAJ-AUTO/"), {
+    exchange: "NSE",
+    symbol: "BAJAJ-AUTO",
+  });
+  assert.deepEqual(
+    parseTicker("https://in.tradingview.com/symbols/BSE-500325/news/"),
+    { exchange: "BSE", symbol: "500325" }
+  );
+  assert.equal(parseTicker("INFY"), null);
+  assert.equal(parseTicker("/symbols/INFY/"), null);
+});
+
+test("mergeTickers puts the primary first and drops duplicates", () => {
+  const infy = { exchange: "NSE", symbol: "INFY" };
+  const tcs = { exchange: "NSE", symbol: "TCS" };
+
+  assert.deepEqual(mergeTickers(infy, [tcs, infy], [tcs]), [infy, tcs]);
+  assert.deepEqual(mergeTickers(null, [tcs]), [tcs]);
+});
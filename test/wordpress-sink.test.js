@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createWordPressSink } from "../src/sinks/wordpress.js";
+import { articleId } from "../src/seen-store.js";
+
+const NO_RETRY = { retries: 0 };
+
+const record = {
+  articleId: articleId("https://in.tradingview.com/news/infy-deal/?utm=x"),
+  headline: "Infosys wins large deal",
+  content: "Infosys said on Monday it won a large order.",
+  canonicalUrl: "https://www.tradingview.com/news/infy-deal/",
+  symbol: "INFY",
+  relatedSymbols: [{ exchange: "NSE", symbol: "INFY" }],
+  provider: "Reuters",
+  timestamp: "2025-07-01T09:00:00.000Z",
+  publishedAt: "2025-07-01T09:00:00.000Z",
+  date: "2025-07-01",
+  contentHash: "abc123",
+};
+
+const COLLECTION = "/wp-json/scraper/v1/tradingview";
+
+// A stand-in for the plugin: PUT upserts by ID, GET reads one back. A
+// `legacy` plugin only has the POST route, which always creates a post;
+// `meStatus` is how WordPress answers the credentials check.
+async function startPlugin({ status, legacy = false, meStatus = 200 } = {}) {
+  const posts = new Map();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url });
+      const reply = (code, data) => {
+        res.writeHead(code, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+      };
+      if (status) return reply(status, { code: "rest_forbidden" });
+      if (req.url === "/wp-json/wp/v2/users/me") {
+        return reply(meStatus, { code: meStatus === 200 ? null : "bad" });
+      }
+      if (legacy && req.url === COLLECTION && req.method === "OPTIONS") {
+        return reply(200, { methods: ["POST"] });
+      }
+      if (legacy && req.url === COLLECTION && req.method === "POST") {
+        const id = `post-${posts.size + 1}`;
+        posts.set(id, JSON.parse(body));
+        return reply(201, { id });
+      }
+      const match =
+        !legacy && req.url.match(new RegExp(`^${COLLECTION}/(\\w+)$`));
+      if (!match) return reply(404, { code: "rest_no_route" });
+      if (req.method === "PUT") {
+        const created = !posts.has(match[1]);
+        posts.set(match[1], JSON.parse(body));
+        return reply(created ? 201 : 200, { id: match[1], created });
+      }
+      return posts.has(match[1])
+        ? reply(200, posts.get(match[1]))
+        : reply(404, { code: "rest_post_invalid_id" });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { base, posts, requests, close: () => server.close() };
+}
+
+test("article IDs ignore regional hosts and tracking parameters", () => {
+  assert.equal(
+    articleId("https://in.tradingview.com/news/infy-deal/?utm=x"),
+    articleId("https://www.tradingview.com/news/infy-deal")
+  );
+  assert.match(record.articleId, /^[0-9a-f]{16}$/);
+});
+
+test("sends each record as an upsert keyed by its article ID", async () => {
+  const plugin = await startPlugin();
+  try {
+    const sink = createWordPressSink(
+      { apiUrl: `${plugin.base}/wp-json/scraper/v1/tradingview/` },
+      NO_RETRY
+    );
+    await sink.probe();
+    await sink.write(record);
+    await sink.write({ ...record, content: "Updated", contentHash: "def" });
+
+    assert.equal(plugin.posts.size, 1);
+    const post = plugin.posts.get(record.articleId);
+    assert.equal(post.ArticleId, record.articleId);
+    assert.equal(post.SourceUrl, record.canonicalUrl);
+    assert.equal(post.PublishedAt, "2025-07-01T09:00:00.000Z");
+    assert.deepEqual(post.RelatedSymbols, ["NSE:INFY"]);
+    assert.equal(post.ContentHash, "def");
+    assert.deepEqual(
+      plugin.requests.map((r) => r.method),
+      ["GET", "PUT", "PUT"]
+    );
+
+    await assert.rejects(
+      sink.write({ ...record, articleId: undefined }),
+      /no articleId/
+    );
+    assert.equal(plugin.requests.length, 3);
+  } finally {
+    plugin.close();
+  }
+});
+
+test("the probe explains rejected credentials and a missing route", async () => {
+  const denied = await startPlugin({ status: 401 });
+  try {
+    const sink = createWordPressSink(
+      { apiUrl: `${denied.base}/wp-json/scraper/v1/tradingview` },
+      NO_RETRY
+    );
+    await assert.rejects(sink.probe(), /rejected the credentials.*WP_USER/);
+  } finally {
+    denied.close();
+  }
+
+  const plugin = await startPlugin();
+  try {
+    const sink = createWordPressSink(
+      { apiUrl: `${plugin.base}/wp-json/scraper/v1/news` },
+      NO_RETRY
+    );
+    await assert.rejects(sink.probe(), /has no route.*WP_API_URL/);
+  } finally {
+    plugin.close();
+  }
+});
+
+test("falls back to creating posts while the plugin has no upsert route", async () => {
+  const plugin = await startPlugin({ legacy: true });
+  try {
+    const probed = createWordPressSink(
+      { apiUrl: `${plugin.base}${COLLECTION}` },
+      NO_RETRY
+    );
+    await probed.probe();
+    await probed.write(record);
+    assert.equal(plugin.posts.get("post-1").ArticleId, record.articleId);
+
+    // Without a probe the first upsert finds the route missing
+    const unprobed = createWordPressSink(
+      { apiUrl: `${plugin.base}${COLLECTION}` },
+      NO_RETRY
+    );
+    await unprobed.write(record);
+    await unprobed.write(record);
+    assert.equal(plugin.posts.size, 3);
+    assert.equal(plugin.requests.filter((r) => r.method === "PUT").length, 1);
+  } finally {
+    plugin.close();
+  }
+
+  const denied = await startPlugin({ legacy: true, meStatus: 401 });
+  try {
+    const sink = createWordPressSink(
+      { apiUrl: `${denied.base}${COLLECTION}` },
+      NO_RETRY
+    );
+    await assert.rejects(sink.probe(), /rejected the credentials.*WP_USER/);
+  } finally {
+    denied.close();
+  }
+});